@@ -0,0 +1,104 @@
+// routes/admin.js
+const express = require('express');
+const QuestionBank = require('../services/QuestionBank');
+const StorageService = require('../services/StorageService');
+const { QuestionBankError, formatIssues } = require('../utils/questionSchema');
+const { questionsFromCsv, questionsFromJson } = require('../utils/questionImport');
+
+const IMPORT_MODES = ['append', 'replace'];
+
+// Position of the question named by :id (its permanent id, e.g. q_3f9a1c0b2e)
+function getQuestionIndex(req) {
+  const question = QuestionBank.getById(req.params.id);
+  return question ? question.bankIndex : -1;
+}
+
+// Validate, write and load a new bank, answering with the new version or the validation report
+async function saveBank(res, entries, extra = {}) {
+  try {
+    const { loaded, version, warnings } = await QuestionBank.save(entries);
+    res.json({ success: true, version, count: loaded, warnings: formatIssues(warnings), ...extra });
+  } catch (err) {
+    if (err instanceof QuestionBankError) {
+      return res.status(400).json({
+        success: false,
+        error: err.message,
+        errors: formatIssues(err.report.errors),
+        warnings: formatIssues(err.report.warnings)
+      });
+    }
+    console.error('❌ Failed to save question bank:', err.message);
+    res.status(500).json({ success: false, error: 'Failed to save question bank' });
+  }
+}
+
+/**
+ * Admin-only question bank management (mounted at /admin)
+ * @param {Object} deps
+ * @param {Function} deps.requireAdmin Middleware from createRequireAdmin
+ * @returns {express.Router}
+ */
+function createAdminRouter({ requireAdmin }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/questions', (req, res) => {
+    res.json({
+      success: true,
+      version: QuestionBank.version,
+      updatedAt: QuestionBank.updatedAt,
+      questions: QuestionBank.getEntries()
+    });
+  });
+
+  // How a question has played over time, tracked by its permanent id
+  router.get('/questions/:id/stats', (req, res) => {
+    const question = QuestionBank.getById(req.params.id);
+    if (!question) return res.status(404).json({ success: false, error: 'Question not found' });
+    res.json({ success: true, id: question.id, stats: StorageService.getQuestionStats(question.id) });
+  });
+
+  // Import a JSON or CSV upload (?mode=append, the default, or ?mode=replace)
+  router.post('/questions', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    const mode = req.query.mode || 'append';
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    const imported = typeof req.body === 'string' ? questionsFromCsv(req.body) : questionsFromJson(req.body);
+    if (!imported || imported.length === 0) {
+      return res.status(400).json({ success: false, error: 'Upload a JSON array of questions or a CSV file with a header row' });
+    }
+
+    const entries = mode === 'replace' ? imported : [...QuestionBank.getEntries(), ...imported];
+    await saveBank(res, entries, { imported: imported.length, mode });
+  });
+
+  // Edit one question; fields in the body replace the stored ones
+  router.put('/questions/:id', async (req, res) => {
+    const index = getQuestionIndex(req);
+    if (index === -1) return res.status(404).json({ success: false, error: 'Question not found' });
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ success: false, error: 'Send the fields to change as a JSON object' });
+    }
+
+    const entries = QuestionBank.getEntries();
+    // The id is permanent, so it cannot be changed here
+    const { id, ...changes } = req.body;
+    entries[index] = { ...entries[index], ...changes };
+    await saveBank(res, entries, { question: entries[index] });
+  });
+
+  router.delete('/questions/:id', async (req, res) => {
+    const index = getQuestionIndex(req);
+    if (index === -1) return res.status(404).json({ success: false, error: 'Question not found' });
+
+    const entries = QuestionBank.getEntries();
+    const [removed] = entries.splice(index, 1);
+    await saveBank(res, entries, { removed });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
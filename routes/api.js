@@ -0,0 +1,455 @@
+// routes/api.js
+const express = require('express');
+const LatencyService = require('../services/LatencyService');
+const { createLeaderboardRouter } = require('./leaderboard');
+const { createPlayersRouter } = require('./players');
+const { createSessionsRouter } = require('./sessions');
+const { createQuestionsRouter } = require('./questions');
+const { createAdminRouter } = require('./admin');
+const {
+  getBearerToken,
+  describeAuthError,
+  sendAuthError,
+  createTokenVerifier,
+  createRequireAdmin,
+  createRequireUser,
+  createModeratorCheck
+} = require('../utils/auth');
+const { resolveImageToken, toPublicQuestion } = require('../utils/questionView');
+const { buildQuestionById } = require('../utils/questionBuilder');
+const { hasQuestionFilter, parseQuestionFilter } = require('../utils/questionSchema');
+const CardCatalog = require('../services/CardCatalog');
+const QuestionBank = require('../services/QuestionBank');
+const SessionTokenService = require('../services/SessionTokenService');
+const DiscordClient = require('../services/DiscordClient');
+
+// Apply category/difficulty/tags from a start request; returns an error message or null
+function applyQuestionFilter(engine, roomId, input) {
+  if (!hasQuestionFilter(input)) return null;
+  const { filter, error } = parseQuestionFilter(input);
+  if (error) return error;
+  const result = engine.setQuestionFilter(roomId, filter);
+  return result.accepted ? null : result.error;
+}
+
+/**
+ * HTTP API shared by both mount points.
+ * Discord's URL mapping strips the /api prefix, so server.js mounts this router
+ * at both /api and / and every endpoint behaves the same under either prefix.
+ * @param {Object} deps
+ * @param {GameEngine} deps.engine The game engine holding all rooms
+ * @param {Object} deps.analytics Process-wide analytics counters
+ * @param {string} deps.clientId Discord application client ID
+ * @param {string} deps.clientSecret Discord application client secret
+ * @param {number} deps.cardCount Number of card questions next to the trivia bank
+ * @param {DiscordClient} [deps.discord] Discord REST client (defaults to the shared one)
+ * @param {Function} [deps.verifyToken] Shared createTokenVerifier, so sockets and HTTP use one cache
+ * @returns {express.Router}
+ */
+function createApiRouter({
+  engine,
+  analytics,
+  clientId,
+  clientSecret,
+  cardCount,
+  discord = DiscordClient,
+  verifyToken = createTokenVerifier({ discord, sessionTokens: SessionTokenService })
+}) {
+  const router = express.Router();
+  const requireAdmin = createRequireAdmin({ verifyToken });
+  const requireUser = createRequireUser({ verifyToken });
+  const isGuildModerator = createModeratorCheck({ discord });
+
+  // Score-destroying actions are for the room's host, its co-hosts and moderators of its guild.
+  // Session tokens carry the moderator check made at sign-in for their channel; Discord tokens are checked now.
+  // room.guildId is client-reported (stats only), so neither path trusts it.
+  async function canManageRoom(req, room) {
+    if (room.isHost(req.user.id)) return true;
+    if (req.auth) return req.auth.mod && req.auth.cid === room.id;
+    return isGuildModerator(getBearerToken(req), room.id);
+  }
+
+  // Session tokens only work in the channel they were issued for; sends 403 otherwise
+  function checkChannel(req, res, roomId) {
+    if (!req.auth || req.auth.cid === roomId) return true;
+    res.status(403).json({ success: false, error: 'Session token was issued for another channel' });
+    return false;
+  }
+
+  function sendNotHost(res) {
+    res.status(403).json({ success: false, error: 'Only the host, co-hosts or server moderators can do that' });
+  }
+
+  // Every game endpoint that changes a room needs a Discord token; the first user to act hosts the room
+  function joinRoomAsUser(req, roomId, guildId) {
+    engine.ensureRoom(roomId);
+    engine.setGuild(roomId, req.auth ? req.auth.gid : guildId);
+    engine.touchHttpPlayer(roomId, req.user.id);
+    return engine.claimHost(roomId, req.user.id);
+  }
+
+  // POST /token -- exchange `code` (from embedded SDK) for an access_token.
+  // With a channelId it also returns a server session_token for that channel (see SessionTokenService).
+  router.post("/token", async (req, res) => {
+    const { code, channelId, guildId } = req.body;
+    if (!code) return res.status(400).json({ error: "missing code" });
+
+    try {
+      const json = await discord.exchangeCode({ clientId, clientSecret, code });
+      if (!json || !json.access_token || !channelId) return res.json(json); // contains access_token etc
+
+      // One Discord lookup at sign-in; the session token carries the result from then on
+      const user = await discord.getUser(json.access_token);
+      const moderator = await isGuildModerator(json.access_token, channelId);
+
+      const { token, expiresAt } = SessionTokenService.issue({ user, channelId, guildId, moderator });
+      return res.json({ ...json, session_token: token, session_expires_at: expiresAt });
+    } catch (err) {
+      // console.error("Error fetching token:", err);
+      if (err.name.startsWith('Discord')) return sendAuthError(res, describeAuthError(err));
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /token/refresh -- swap a session token (even one expired within the last hour) for a new one
+  router.post("/token/refresh", (req, res) => {
+    try {
+      const { token, expiresAt } = SessionTokenService.refresh(getBearerToken(req));
+      res.json({ session_token: token, session_expires_at: expiresAt });
+    } catch (err) {
+      res.status(401).json({ error: err.message });
+    }
+  });
+
+  // POST /token/revoke -- sign a session token out; { all: true } signs its user out everywhere
+  router.post("/token/revoke", (req, res) => {
+    try {
+      SessionTokenService.revoke(getBearerToken(req), { allSessions: req.body.all === true });
+      res.json({ success: true });
+    } catch (err) {
+      res.status(401).json({ error: err.message });
+    }
+  });
+
+  // Health check endpoint for socket connection
+  router.get("/health", (req, res) => {
+    res.json({ status: "healthy", server: "quiz-backend", timestamp: new Date().toISOString() });
+  });
+
+  // /me (server helper): return user info from a session or access token
+  router.get("/me", async (req, res) => {
+    try {
+      const result = await verifyToken(getBearerToken(req));
+      if (!result.user) return sendAuthError(res, result);
+      res.json(result.user);
+    } catch (err) {
+      // console.error("Error fetching /me:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Analytics endpoint - requires admin authentication
+  router.get("/analytics", requireAdmin, (req, res) => {
+    // Return analytics data
+    res.json({
+      totalGamesPlayed: analytics.totalGamesPlayed,
+      totalQuestionsAnswered: analytics.totalQuestionsAnswered,
+      activeChannels: analytics.activeChannels.size,
+      dailyStats: {
+        date: analytics.dailyStats.date,
+        gamesPlayed: analytics.dailyStats.gamesPlayed,
+        questionsAnswered: analytics.dailyStats.questionsAnswered,
+        uniquePlayers: analytics.dailyStats.uniquePlayers.size
+      },
+      currentSessions: Object.keys(engine.rooms).length
+    });
+  });
+
+  // Test endpoint for Discord URL mapping
+  router.get('/discord-test', (req, res) => {
+    res.json({
+      message: 'Discord URL mapping is working!',
+      timestamp: Date.now(),
+      headers: req.headers
+    });
+  });
+
+  // Daily leaderboards and their archives
+  router.use('/leaderboard', createLeaderboardRouter({ engine }));
+
+  // Lifetime player statistics
+  router.use('/players', createPlayersRouter());
+
+  // Finished game sessions
+  router.use('/sessions', createSessionsRouter({ engine }));
+
+  // Question bank metadata
+  router.use('/questions', createQuestionsRouter({ cardCount }));
+
+  // Question bank management, ADMIN_USER_IDS only
+  router.use('/admin', createAdminRouter({ requireAdmin }));
+
+  // Latency handshake: the client calls ping, then immediately pong with the returned pingId.
+  // The server-measured round trip decides how much latency is credited to the player's answers.
+  router.post('/latency/ping', requireUser, (req, res) => {
+    res.json({ success: true, ...LatencyService.startPing(req.user.id) });
+  });
+
+  router.post('/latency/pong', requireUser, (req, res) => {
+    const rtt = LatencyService.completePing(req.body.pingId, req.user.id);
+    if (rtt === null) return res.status(404).json({ success: false, error: 'Unknown or expired pingId' });
+    res.json({ success: true, rtt: Math.round(rtt) });
+  });
+
+  // Card image for the current question, addressed by opaque token so the name stays hidden
+  router.get('/card-image/:token', (req, res) => {
+    const filePath = resolveImageToken(req.params.token);
+    if (!filePath) return res.status(404).json({ error: 'Unknown or expired image token' });
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(filePath);
+  });
+
+  // Game event endpoint for HTTP-based communication
+  router.post('/game-event', requireUser, async (req, res) => {
+    const { event, data = {} } = req.body;
+
+    try {
+      if (data.roomId && !checkChannel(req, res, data.roomId)) return;
+      // Ensure room exists for HTTP requests (since no Socket.IO connection creates it)
+      const room = data.roomId ? joinRoomAsUser(req, data.roomId, data.guildId) : null;
+
+      // Handle the same events as socket.io but via HTTP
+      switch (event) {
+        case 'start_question': {
+          if (!data.roomId) break;
+          // forceNew comes from the Restart Quiz button and opens a new session, zeroing the scores
+          if (data.forceNew && !(await canManageRoom(req, room))) {
+            sendNotHost(res);
+            return;
+          }
+          const filterError = applyQuestionFilter(engine, data.roomId, data);
+          if (filterError) {
+            res.status(400).json({ success: false, error: filterError });
+            return;
+          }
+          const { error } = engine.startQuestion(data.roomId, { newSession: !!data.forceNew });
+          const payload = engine.getQuestionPayload(room);
+          if (error) {
+            res.status(409).json({ success: false, error, ...payload });
+            return;
+          }
+
+          // Fields at the top level and under data, for clients written against either old route
+          res.json({ success: true, action: 'question_started', data: payload, ...payload });
+          return;
+        }
+
+        case 'select_option': {
+          if (!data.roomId) break;
+          // Players answer as themselves: the token decides who, playerId only has to agree
+          if (data.playerId && data.playerId !== req.user.id) {
+            res.status(403).json({ success: false, error: 'playerId does not match the signed-in user' });
+            return;
+          }
+
+          // Correctness and timing are decided by the engine, client flags are ignored
+          const result = engine.submitAnswer(data.roomId, req.user.id, {
+            optionIndex: data.optionIndex,
+            cardAnswer: data.cardAnswer,
+            playerName: data.playerName || req.user.global_name || req.user.username
+          });
+          if (!result.accepted) {
+            res.status(409).json({ success: false, error: result.error });
+            return;
+          }
+
+          res.json({ success: true, message: result.isChange ? 'Selection changed' : 'Selection recorded' });
+          return;
+        }
+
+        case 'end_round': {
+          if (!data.roomId) break;
+          // Acknowledgement only: the server scores the round when its timer runs out.
+          // Once scored, every call gets the stored result.
+          if (room.roundEnded && room.lastRoundResult) {
+            res.json({ success: true, action: 'round_complete', data: room.lastRoundResult });
+            return;
+          }
+          res.json({ success: true, action: 'round_pending', state: room.state, timeLeft: room.getTimeLeft() });
+          return;
+        }
+
+        case 'update_settings': {
+          if (!data.roomId) break;
+          if (!(await canManageRoom(req, room))) {
+            sendNotHost(res);
+            return;
+          }
+          const result = engine.updateSettings(data.roomId, data.settings);
+          if (!result.accepted) {
+            res.status(400).json({ success: false, error: result.error });
+            return;
+          }
+          res.json({ success: true, action: 'settings_updated', settings: result.settings });
+          return;
+        }
+
+        case 'new_session': {
+          if (!data.roomId) break;
+          if (!(await canManageRoom(req, room))) {
+            sendNotHost(res);
+            return;
+          }
+          // Back to the lobby with a fresh session id and zeroed scores; today's totals stay
+          engine.startSession(data.roomId);
+          res.json({ success: true, action: 'session_started', session: room.session });
+          return;
+        }
+
+        case 'reset_scores': {
+          if (!data.roomId) break;
+          if (!(await canManageRoom(req, room))) {
+            sendNotHost(res);
+            return;
+          }
+          engine.resetScores(data.roomId);
+          console.log('✅ [game-event] Scores reset for room:', data.roomId);
+          res.json({ success: true, scores: {} });
+          return;
+        }
+
+        case 'add_cohost':
+        case 'remove_cohost': {
+          if (!data.roomId) break;
+          if (!(await canManageRoom(req, room))) {
+            sendNotHost(res);
+            return;
+          }
+          const result = engine.setCoHost(data.roomId, data.userId, event === 'add_cohost');
+          if (!result.accepted) {
+            res.status(400).json({ success: false, error: result.error });
+            return;
+          }
+          res.json({ success: true, action: 'hosts_updated', hostId: room.hostId, coHostIds: result.coHostIds });
+          return;
+        }
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      // console.error('Game event error:', error);
+      res.status(500).json({ error: 'Failed to process game event' });
+    }
+  });
+
+  // Game state endpoint for polling (read-only: rooms are created by the endpoints that change them)
+  router.get('/game-state/:roomId', requireUser, (req, res) => {
+    const { roomId } = req.params;
+    if (!checkChannel(req, res, roomId)) return;
+    // A player sitting out a round still polls, so they keep counting for the early end
+    engine.refreshHttpPlayer(roomId, req.user.id);
+
+    try {
+      // Reveal persists until the next question is started (Next button)
+      res.json({ success: true, ...engine.getState(roomId) });
+    } catch (error) {
+      // console.error('Game state error:', error);
+      res.status(500).json({ error: 'Failed to get game state' });
+    }
+  });
+
+  // Room settings (question type weights); POST takes the fields to change
+  router.get('/settings/:roomId', requireUser, (req, res) => {
+    if (!checkChannel(req, res, req.params.roomId)) return;
+    res.json({ success: true, settings: engine.getRoomSettings(req.params.roomId) });
+  });
+
+  router.post('/settings/:roomId', requireUser, async (req, res) => {
+    if (!checkChannel(req, res, req.params.roomId)) return;
+    const room = joinRoomAsUser(req, req.params.roomId, req.body.guildId);
+    if (!(await canManageRoom(req, room))) return sendNotHost(res);
+
+    const result = engine.updateSettings(req.params.roomId, req.body);
+    if (!result.accepted) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, settings: result.settings });
+  });
+
+  // Start question endpoint for Next button functionality
+  router.post('/start_question', requireUser, async (req, res) => {
+    const { roomId, forceNew } = req.body;
+
+    if (!roomId) {
+      return res.status(400).json({ success: false, error: 'Missing roomId' });
+    }
+    if (!checkChannel(req, res, roomId)) return;
+    const room = joinRoomAsUser(req, roomId, req.body.guildId);
+    if (forceNew && !(await canManageRoom(req, room))) return sendNotHost(res);
+
+    const filterError = applyQuestionFilter(engine, roomId, req.body);
+    if (filterError) {
+      return res.status(400).json({ success: false, error: filterError });
+    }
+
+    try {
+      // Refused while a question is running, so repeated clicks can't skip one
+      const { error } = engine.startQuestion(roomId, { newSession: !!forceNew });
+      if (error) {
+        return res.status(409).json({ success: false, error, ...engine.getQuestionPayload(room) });
+      }
+      res.json({ success: true, ...engine.getQuestionPayload(room) });
+    } catch (error) {
+      // console.error('Start question error:', error);
+      res.status(500).json({ error: 'Failed to start question' });
+    }
+  });
+
+  // Sync local question to server when transitioning from local to multiplayer
+  router.post('/sync_local_question', requireUser, async (req, res) => {
+    const { roomId, question, timeLeft } = req.body;
+
+    if (!roomId || !question || typeof question !== 'object') {
+      return res.status(400).json({ success: false, error: 'Missing roomId or question' });
+    }
+    if (timeLeft !== undefined && !(typeof timeLeft === 'number' && Number.isFinite(timeLeft))) {
+      return res.status(400).json({ success: false, error: 'timeLeft must be a number of seconds' });
+    }
+    if (!checkChannel(req, res, roomId)) return;
+    // The synced question replaces whatever the room would have drawn, so only hosts may sync
+    if (!(await canManageRoom(req, joinRoomAsUser(req, roomId, req.body.guildId)))) return sendNotHost(res);
+
+    // Only { id, cardMode } is read; text, options and answers always come from the bank or manifest
+    const rebuilt = buildQuestionById(question, { bank: QuestionBank, catalog: CardCatalog });
+    if (rebuilt.error) {
+      return res.status(400).json({ success: false, error: rebuilt.error });
+    }
+
+    try {
+      // Only sync if the server doesn't already have a session going; the engine's timer ends the round
+      const { room, created } = engine.syncQuestion(roomId, rebuilt.question, timeLeft);
+      if (created) {
+        return res.json({
+          success: true,
+          message: 'Local question synced to server',
+          question: toPublicQuestion(room.currentQuestion),
+          timeLeft: room.getTimeLeft()
+        });
+      }
+      return res.json({
+        success: true,
+        message: 'Server already has question',
+        question: toPublicQuestion(room.currentQuestion),
+        timeLeft: room.getTimeLeft(),
+        hadExisting: true
+      });
+    } catch (error) {
+      // console.error('Sync local question error:', error);
+      res.status(500).json({ error: 'Failed to sync local question' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,78 @@
+// routes/leaderboard.js
+const express = require('express');
+const LeaderboardService = require('../services/LeaderboardService');
+
+const DEFAULT_HISTORY_DAYS = 7;
+const DEFAULT_TOTALS_PERIOD = 'weekly';
+const MAX_HISTORY_DAYS = 90;
+
+function getTotalsPeriod(req, res) {
+  const period = req.query.period === undefined ? DEFAULT_TOTALS_PERIOD : req.query.period;
+  if (!LeaderboardService.isValidPeriod(period)) {
+    res.status(400).json({ success: false, error: `period must be one of: ${LeaderboardService.getPeriods().join(', ')}` });
+    return null;
+  }
+  return period;
+}
+
+/**
+ * Daily leaderboards per channel, plus rolling totals per channel and guild (mounted at /leaderboard)
+ * @param {Object} deps
+ * @param {GameEngine} deps.engine Used for the live standings of today
+ * @returns {express.Router}
+ */
+function createLeaderboardRouter({ engine }) {
+  const router = express.Router();
+
+  // Today's standings
+  router.get('/:channelId', (req, res) => {
+    const { channelId } = req.params;
+    res.json({ success: true, leaderboard: LeaderboardService.getCurrent(channelId, engine.getRoom(channelId)) });
+  });
+
+  // Last N days of archived leaderboards, newest first
+  router.get('/:channelId/history', (req, res) => {
+    const { channelId } = req.params;
+    const days = req.query.days === undefined ? DEFAULT_HISTORY_DAYS : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_HISTORY_DAYS) {
+      return res.status(400).json({ success: false, error: `days must be an integer between 1 and ${MAX_HISTORY_DAYS}` });
+    }
+
+    res.json({ success: true, days, history: LeaderboardService.getHistory(channelId, days) });
+  });
+
+  // Rolling totals for every channel of a guild (?period=weekly|monthly|all-time)
+  router.get('/guild/:guildId/totals', (req, res) => {
+    const period = getTotalsPeriod(req, res);
+    if (!period) return;
+    res.json({ success: true, totals: LeaderboardService.getTotals({ guildId: req.params.guildId }, period) });
+  });
+
+  // Rolling totals for one channel (?period=weekly|monthly|all-time)
+  router.get('/:channelId/totals', (req, res) => {
+    const period = getTotalsPeriod(req, res);
+    if (!period) return;
+    res.json({ success: true, totals: LeaderboardService.getTotals({ channelId: req.params.channelId }, period) });
+  });
+
+  // Archived leaderboard for one day (YYYY-MM-DD)
+  router.get('/:channelId/:date', (req, res) => {
+    const { channelId, date } = req.params;
+
+    if (!LeaderboardService.isValidDate(date)) {
+      return res.status(400).json({ success: false, error: 'date must be formatted YYYY-MM-DD' });
+    }
+
+    const leaderboard = LeaderboardService.getForDate(channelId, date);
+    if (!leaderboard) {
+      return res.status(404).json({ success: false, error: 'No leaderboard archived for that date' });
+    }
+
+    res.json({ success: true, leaderboard });
+  });
+
+  return router;
+}
+
+module.exports = { createLeaderboardRouter };
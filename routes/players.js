@@ -0,0 +1,24 @@
+// routes/players.js
+const express = require('express');
+const PlayerStatsService = require('../services/PlayerStatsService');
+
+/**
+ * Player profiles (mounted at /players)
+ * @returns {express.Router}
+ */
+function createPlayersRouter() {
+  const router = express.Router();
+
+  // Lifetime statistics built from every scored answer
+  router.get('/:userId/stats', (req, res) => {
+    const stats = PlayerStatsService.getStats(req.params.userId);
+    if (!stats) {
+      return res.status(404).json({ success: false, error: 'No stats recorded for that player' });
+    }
+    res.json({ success: true, stats });
+  });
+
+  return router;
+}
+
+module.exports = { createPlayersRouter };
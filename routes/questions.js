@@ -0,0 +1,27 @@
+// routes/questions.js
+const express = require('express');
+const QuestionBank = require('../services/QuestionBank');
+const { QUESTION_DIFFICULTIES } = require('../utils/questionSchema');
+
+/**
+ * Question bank information for hosts (mounted at /questions)
+ * @param {Object} deps
+ * @param {number} deps.cardCount Number of card questions next to the trivia bank
+ * @returns {express.Router}
+ */
+function createQuestionsRouter({ cardCount }) {
+  const router = express.Router();
+
+  // Categories and difficulties a host can filter a session by
+  router.get('/categories', (req, res) => {
+    res.json({
+      success: true,
+      categories: QuestionBank.getCategories(cardCount),
+      difficulties: QUESTION_DIFFICULTIES
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createQuestionsRouter };
@@ -0,0 +1,54 @@
+// routes/sessions.js
+const express = require('express');
+const StorageService = require('../services/StorageService');
+
+const DEFAULT_SESSION_LIMIT = 20;
+const MAX_SESSION_LIMIT = 100;
+
+/**
+ * Finished game sessions with their podium and MVPs (mounted at /sessions)
+ * @param {Object} deps
+ * @param {GameEngine} deps.engine Used for the session in progress
+ * @returns {express.Router}
+ */
+function createSessionsRouter({ engine }) {
+  const router = express.Router();
+
+  // The channel's session in progress, with the final results while it is finished
+  router.get('/:channelId/current', (req, res) => {
+    const room = engine.getRoom(req.params.channelId);
+    if (!room) {
+      return res.status(404).json({ success: false, error: 'No active room for that channel' });
+    }
+    res.json({
+      success: true,
+      session: room.session,
+      roundNumber: room.roundNumber,
+      totalRounds: room.settings.rounds,
+      scores: room.scores,
+      summary: room.lastSessionSummary
+    });
+  });
+
+  // Latest finished sessions of a channel, newest first
+  router.get('/:channelId', (req, res) => {
+    const limit = req.query.limit === undefined ? DEFAULT_SESSION_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSION_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_SESSION_LIMIT}` });
+    }
+    res.json({ success: true, sessions: StorageService.getSessions(req.params.channelId, limit) });
+  });
+
+  // One finished session
+  router.get('/:channelId/:sessionId', (req, res) => {
+    const session = StorageService.getSession(req.params.sessionId);
+    if (!session || session.channelId !== req.params.channelId) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true, session });
+  });
+
+  return router;
+}
+
+module.exports = { createSessionsRouter };
@@ -0,0 +1,39 @@
+// scripts/lint-questions.js
+// Usage: npm run lint:questions [-- file.json ...]   (defaults to questions.json and cards.json)
+// Files named cards.json are checked as card manifests, everything else as question banks.
+// Exits with 1 when any file has fatal errors, the same ones that stop the server from booting.
+const fs = require('fs');
+const path = require('path');
+const { validateQuestionBank, formatIssues } = require('../utils/questionSchema');
+const { validateCardManifest } = require('../utils/cardSchema');
+
+const ROOT = path.join(__dirname, '..');
+const ASSETS_DIR = path.join(ROOT, 'assets');
+
+const files = process.argv.slice(2);
+if (files.length === 0) files.push(path.join(ROOT, 'questions.json'), path.join(ROOT, 'cards.json'));
+
+let failed = false;
+
+files.forEach(file => {
+  const name = path.relative(process.cwd(), file) || file;
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`❌ ${name}: ${err.message}`);
+    failed = true;
+    return;
+  }
+
+  const isCardManifest = path.basename(file) === 'cards.json';
+  const { errors, warnings } = isCardManifest ? validateCardManifest(entries, ASSETS_DIR) : validateQuestionBank(entries);
+  formatIssues(errors).forEach(error => console.error(`❌ ${name} ${error}`));
+  formatIssues(warnings).forEach(warning => console.warn(`⚠️ ${name} ${warning}`));
+
+  const count = Array.isArray(entries) ? entries.length : 0;
+  console.log(`${errors.length ? '❌' : '✅'} ${name}: ${count} ${isCardManifest ? 'cards' : 'questions'}, ${errors.length} errors, ${warnings.length} warnings`);
+  if (errors.length) failed = true;
+});
+
+process.exit(failed ? 1 : 0);
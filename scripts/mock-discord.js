@@ -0,0 +1,108 @@
+// scripts/mock-discord.js
+// Usage: npm run mock:discord [-- port]   (default 4010), then start the server with
+//        DISCORD_API_BASE=http://localhost:4010 DISCORD_BOT_TOKEN=mock-bot npm start
+// A local stand-in for the Discord endpoints the server calls, for trying out DiscordClient's
+// caching, coalescing and rate limit handling without touching discord.com:
+// - "user-<id>" tokens are valid, "mod-<id>" ones also moderate guild "guild-1", others get 401
+// - each token may call an endpoint BUCKET_LIMIT times per BUCKET_WINDOW, then gets a 429
+// - the "limited" token always gets a global 429, "broken" a 502
+// - POST /oauth2/token turns code "<id>" into the token "user-<id>"
+// - GET /channels/<id> with "Bot mock-bot" puts every channel in "guild-1", except "dm-*" ones
+// - GET /_stats shows how many requests each route received; MOCK_DISCORD_DELAY (ms) slows every answer
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.MOCK_DISCORD_PORT || 4010);
+const DELAY = Number(process.env.MOCK_DISCORD_DELAY || 100);
+const BUCKET_LIMIT = 5;
+const BUCKET_WINDOW = 1000 * 2;
+const GLOBAL_RETRY_AFTER = 10; // seconds
+const BOT_TOKEN = 'mock-bot';
+const MODERATOR_PERMISSIONS = String(1 << 5); // Manage Server
+
+const stats = {}; // "METHOD /route" -> requests received
+const buckets = new Map(); // "<route>:<token>" -> { used, resetAt }
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function parseToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(user|mod)-(\w+)$/);
+  return match ? { id: match[2], moderator: match[1] === 'mod', raw: `${match[1]}-${match[2]}` } : null;
+}
+
+// Per token and route, like Discord's per-user buckets; returns the headers to send, or null when exhausted
+function takeFromBucket(route, token) {
+  const key = `${route}:${token}`;
+  const now = Date.now();
+  let bucket = buckets.get(key);
+  if (!bucket || bucket.resetAt <= now) {
+    bucket = { used: 0, resetAt: now + BUCKET_WINDOW };
+    buckets.set(key, bucket);
+  }
+  const resetAfter = ((bucket.resetAt - now) / 1000).toFixed(3);
+  const headers = {
+    'X-RateLimit-Limit': String(BUCKET_LIMIT),
+    'X-RateLimit-Bucket': Buffer.from(route).toString('hex').slice(0, 16),
+    'X-RateLimit-Reset-After': resetAfter
+  };
+  if (bucket.used >= BUCKET_LIMIT) {
+    return { limited: true, headers: { ...headers, 'X-RateLimit-Remaining': '0', 'Retry-After': resetAfter } };
+  }
+  bucket.used++;
+  return { limited: false, headers: { ...headers, 'X-RateLimit-Remaining': String(BUCKET_LIMIT - bucket.used) } };
+}
+
+function handle(req, res, body) {
+  const route = req.url.split('?')[0].replace(/^\/api/, '');
+  stats[`${req.method} ${route}`] = (stats[`${req.method} ${route}`] || 0) + 1;
+
+  if (req.method === 'GET' && route === '/_stats') return send(res, 200, stats);
+
+  if (req.method === 'POST' && route === '/oauth2/token') {
+    const code = new URLSearchParams(body).get('code');
+    if (!code) return send(res, 400, { error: 'invalid_request' });
+    return send(res, 200, { access_token: `user-${code}`, token_type: 'Bearer', expires_in: 604800, scope: 'identify guilds' });
+  }
+
+  const auth = req.headers.authorization || '';
+  if (auth.endsWith(' limited')) {
+    return send(res, 429, { message: 'You are being rate limited.', retry_after: GLOBAL_RETRY_AFTER, global: true }, {
+      'Retry-After': String(GLOBAL_RETRY_AFTER),
+      'X-RateLimit-Global': 'true'
+    });
+  }
+  if (auth.endsWith(' broken')) return send(res, 502, { message: 'Bad Gateway' });
+
+  const channel = route.match(/^\/channels\/([\w-]+)$/);
+  if (req.method === 'GET' && channel) {
+    if (auth !== `Bot ${BOT_TOKEN}`) return send(res, 401, { message: '401: Unauthorized', code: 0 });
+    const id = channel[1];
+    return send(res, 200, id.startsWith('dm-') ? { id, type: 1 } : { id, type: 2, guild_id: 'guild-1' });
+  }
+
+  const token = parseToken(req);
+  if (route !== '/users/@me' && route !== '/users/@me/guilds') return send(res, 404, { message: '404: Not Found', code: 0 });
+  if (!token) return send(res, 401, { message: '401: Unauthorized', code: 0 });
+
+  const { limited, headers } = takeFromBucket(route, token.raw);
+  if (limited) {
+    return send(res, 429, { message: 'You are being rate limited.', retry_after: Number(headers['Retry-After']), global: false }, headers);
+  }
+
+  if (route === '/users/@me') {
+    return send(res, 200, { id: token.id, username: `player${token.id}`, global_name: `Player ${token.id}`, avatar: null }, headers);
+  }
+  return send(res, 200, [
+    { id: 'guild-1', name: 'Mock Guild', owner: false, permissions: token.moderator ? MODERATOR_PERMISSIONS : '0' }
+  ], headers);
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => setTimeout(() => handle(req, res, body), DELAY));
+}).listen(PORT, () => {
+  console.log(`🧪 Mock Discord API on http://localhost:${PORT} (DISCORD_API_BASE=http://localhost:${PORT})`);
+});
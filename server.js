@@ -3,12 +3,30 @@ require('dotenv').config();
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
-const questions = require("./questions.json");
+const path = require("path");
 const cors = require("cors");
 const StorageService = require('./services/StorageService');
+const LatencyService = require('./services/LatencyService');
+const { GameEngine } = require('./services/GameEngine');
+const { createApiRouter } = require('./routes/api');
 const { logger, safeLog } = require('./utils/logger');
+const { createTokenVerifier } = require('./utils/auth');
+const QuestionBank = require('./services/QuestionBank');
+const QuestionDeck = require('./services/QuestionDeck');
+const CardCatalog = require('./services/CardCatalog');
+const SessionTokenService = require('./services/SessionTokenService');
+const DiscordClient = require('./services/DiscordClient');
+const { getCardModes, pickCardMode } = require('./utils/cardQuestions');
+const { buildTriviaRound, buildCardRound } = require('./utils/questionBuilder');
+const { hasQuestionFilter, parseQuestionFilter, formatIssues } = require('./utils/questionSchema');
+
+const QUESTIONS_FILE = path.join(__dirname, 'questions.json');
+const CARDS_FILE = path.join(__dirname, 'cards.json'); // Age of Empires III Home City Cards
+const ASSETS_DIR = path.join(__dirname, 'assets');
 
 const app = express();
+// Whole question banks are bigger than the default 100 kB; parsed first, the global parser skips them
+app.use(['/api/admin', '/admin'], express.json({ limit: '1mb' }));
 app.use(express.json());
 app.use(cors({
   origin: [
@@ -19,22 +37,18 @@ app.use(cors({
     'https://discordbackend-xggi.onrender.com'  // Production backend (self)
   ],
   credentials: true,
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 const PORT = process.env.PORT || 3001;
 const CLIENT_ID = process.env.VITE_DISCORD_CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const MAX_TIME = 20;
-
-// Scoring configuration (matching client-side)
-const MAX_POINTS = 150; // points for an instant (maximum)
-const SCORING_EXPONENT = 2; // power curve exponent for time-based scoring
 
 const ROOM_CLEANUP_INTERVAL = 1000 * 60 * 5; // 5 minutes (more frequent cleanup)
 const ROOM_INACTIVE_THRESHOLD = 1000 * 60 * 15; // 15 minutes (shorter threshold for fresh starts)
-const GRACE_PERIOD_MAX = 1000 * 10; // 10 seconds max grace period for expired questions
+const LATENCY_PING_INTERVAL = 1000 * 30; // re-measure socket round-trip time every 30 seconds
+const LATENCY_PING_TIMEOUT = 1000 * 5; // socket pings without an ack in 5 seconds are ignored
 
 // Daily reset configuration
 const LEADERBOARD_RESET_HOUR = 0; // Reset at midnight UTC
@@ -58,1829 +72,218 @@ if (!CLIENT_ID || !CLIENT_SECRET) {
   process.exit(1);
 }
 
-// Use native fetch from global (Node 18+)
-const fetch = global.fetch;
-
-if (!fetch) {
+// DiscordClient uses native fetch from global (Node 18+)
+if (!global.fetch) {
   // console.error("Global fetch not found — please upgrade Node.js to 18+");
   process.exit(1);
 }
 
-// POST /api/token -- exchange `code` (from embedded SDK) for an access_token
-app.post("/api/token", async (req, res) => {
-  // console.log('🔍 /api/token endpoint hit');
-  // console.log('Headers:', req.headers);
-  // console.log('Body:', req.body);
-  
-  const { code } = req.body;
-  if (!code) return res.status(400).json({ error: "missing code" });
-
-  const body = new URLSearchParams({
-    client_id: CLIENT_ID,
-    client_secret: CLIENT_SECRET,
-    grant_type: "authorization_code",
-    code,
-  });
+// Server session tokens are signed with this secret; set it so they survive restarts
+SessionTokenService.configure(process.env.SESSION_TOKEN_SECRET);
+// Session tokens are checked locally, Discord access tokens with Discord (both for sockets and HTTP)
+const verifyToken = createTokenVerifier({ discord: DiscordClient, sessionTokens: SessionTokenService });
+
+// Refuse to boot on a broken bank; `npm run lint:questions` prints the same report
+try {
+  QuestionBank.loadFile(QUESTIONS_FILE);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  formatIssues(err.report ? err.report.errors : []).forEach(error => console.error(`   ${error}`));
+  process.exit(1);
+}
+// Edits to questions.json go live without a restart (invalid edits are logged and ignored)
+QuestionBank.watch();
+
+// Same for the card manifest: a card whose image is missing must not reach players
+try {
+  CardCatalog.loadFile(CARDS_FILE, ASSETS_DIR);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  formatIssues(err.report ? err.report.errors : []).forEach(error => console.error(`   ${error}`));
+  process.exit(1);
+}
 
-  try {
-    const resp = await fetch("https://discord.com/api/oauth2/token", {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    const json = await resp.json();
-    // console.log('✅ Discord OAuth response:', json);
-    return res.json(json); // contains access_token etc
-  } catch (err) {
-    // console.error("Error fetching token:", err);
-    return res.status(500).json({ error: "Internal server error" });
+// Helper function to pick a question (including cards) within the room's filter.
+// Draws come from the room's daily deck, so nothing repeats until a pool runs out.
+function getRandomQuestion(room) {
+  const filter = room ? room.questionFilter : null;
+  const trivia = QuestionBank.getTrivia(filter);
+  const cards = CardCatalog.getCards(filter);
+  const { typeWeights } = room.settings;
+  const triviaWeight = trivia.length > 0 ? typeWeights.trivia : 0;
+  const cardWeight = cards.length > 0 ? typeWeights.cards : 0;
+
+  if (triviaWeight + cardWeight === 0) {
+    throw new Error('No questions match the room filter and settings');
   }
-});
 
-// Fallback endpoint for /token (Discord URL mapping strips /api prefix)
-app.post("/token", async (req, res) => {
-  // console.log('🔧 /token endpoint hit (Discord URL mapping stripped /api prefix)');
-  // console.log('Headers:', req.headers);
-  // console.log('Body:', req.body);
-  
-  const { code } = req.body;
-  if (!code) return res.status(400).json({ error: "missing code" });
-
-  const body = new URLSearchParams({
-    client_id: CLIENT_ID,
-    client_secret: CLIENT_SECRET,
-    grant_type: "authorization_code",
-    code,
-  });
+  // Card vs trivia by the host's weights (default 45% HC card "guess the card" questions)
+  const pickCard = Math.random() * (triviaWeight + cardWeight) < cardWeight;
 
-  try {
-    const resp = await fetch("https://discord.com/api/oauth2/token", {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body,
-    });
-    const json = await resp.json();
-    // console.log('✅ Discord OAuth response via /token:', json);
-    return res.json(json); // contains access_token etc
-  } catch (err) {
-    // console.error("Error fetching token via /token:", err);
-    return res.status(500).json({ error: "Internal server error" });
+  if (pickCard) {
+    // Typed name, multiple choice, civilization or reverse image, by the host's cardModes weights;
+    // the card is then drawn from those that can be asked that way
+    const mode = pickCardMode(cards, CardCatalog.cards, room.settings.cardModes);
+    const eligible = cards.filter(card => getCardModes(card, CardCatalog.cards).includes(mode));
+    const { id, reshuffled } = QuestionDeck.draw(room.id, 'cards', eligible.map(card => card.id));
+    const card = CardCatalog.getById(id);
+    return { ...buildCardRound(card, CardCatalog.cards, mode), deckReshuffled: reshuffled ? 'cards' : null };
   }
-});
 
-// Health check endpoint for socket connection
-app.get("/api/health", (req, res) => {
-  // console.log('🏥 Health check endpoint hit');
-  res.json({ status: "healthy", server: "quiz-backend", timestamp: new Date().toISOString() });
-});
+  // Otherwise pick trivia question
+  const { id, reshuffled } = QuestionDeck.draw(room.id, 'trivia', trivia.map(question => question.id));
+  return {
+    ...buildTriviaRound(QuestionBank.getById(id), QuestionBank.version),
+    deckReshuffled: reshuffled ? 'trivia' : null
+  };
+}
 
-// Fallback health endpoint (Discord strips /api prefix)
-app.get("/health", (req, res) => {
-  // console.log('🏥 Fallback health check endpoint hit (no /api prefix)');
-  res.json({ status: "healthy", server: "quiz-backend", timestamp: new Date().toISOString() });
+// One game engine for both transports; rooms live inside it
+const engine = new GameEngine({
+  drawQuestion: getRandomQuestion,
+  hasQuestions: (filter, settings) => QuestionBank.hasMatches(filter, CardCatalog.getCards(filter).length, settings.typeWeights),
+  // Clients report the channel's guild; with a bot token, Discord confirms it
+  lookupChannelGuild: DiscordClient.botToken
+    ? channelId => DiscordClient.getChannel(channelId).then(channel => channel.guild_id || null)
+    : null
 });
-
-// /api/me (server helper): return user info from access token
-app.get("/api/me", async (req, res) => {
-  const auth = req.headers.authorization;
-  if (!auth) return res.status(401).json({ error: "missing auth" });
-  const token = auth.replace(/^Bearer\s+/i, "");
-  try {
-    const resp = await fetch("https://discord.com/api/users/@me", {
-      headers: { Authorization: `Bearer ${token}` },
-    });
-    if (!resp.ok) return res.status(401).json({ error: "invalid token" });
-    const user = await resp.json();
-    res.json(user);
-  } catch (err) {
-    // console.error("Error fetching /api/me:", err);
-    return res.status(500).json({ error: "Internal server error" });
-  }
+const rooms = engine.rooms; // channelId -> Room
+
+// Same API under /api and / (Discord URL mapping strips the /api prefix)
+const apiRouter = createApiRouter({
+  engine,
+  analytics,
+  clientId: CLIENT_ID,
+  clientSecret: CLIENT_SECRET,
+  cardCount: CardCatalog.cards.length,
+  verifyToken
 });
+app.use('/api', apiRouter);
+app.use('/', apiRouter);
 
-// Analytics endpoint - requires admin authentication
-app.get("/api/analytics", async (req, res) => {
-  const auth = req.headers.authorization;
-  if (!auth) return res.status(401).json({ error: "missing auth" });
-  const token = auth.replace(/^Bearer\s+/i, "");
-  
-  try {
-    // Verify admin user
-    const resp = await fetch("https://discord.com/api/users/@me", {
-      headers: { Authorization: `Bearer ${token}` },
-    });
-    if (!resp.ok) return res.status(401).json({ error: "invalid token" });
-    const user = await resp.json();
-    
-    // For now, you could check against a list of admin user IDs
-    // In production, you'd want proper role-based access control
-    const isAdmin = process.env.ADMIN_USER_IDS?.split(',').includes(user.id);
-    if (!isAdmin) {
-      return res.status(403).json({ error: "unauthorized" });
-    }
-
-    // Return analytics data
-    res.json({
-      totalGamesPlayed: analytics.totalGamesPlayed,
-      totalQuestionsAnswered: analytics.totalQuestionsAnswered,
-      activeChannels: analytics.activeChannels.size,
-      dailyStats: {
-        date: analytics.dailyStats.date,
-        gamesPlayed: analytics.dailyStats.gamesPlayed,
-        questionsAnswered: analytics.dailyStats.questionsAnswered,
-        uniquePlayers: analytics.dailyStats.uniquePlayers.size
-      },
-      currentSessions: Object.keys(rooms).length
-    });
-  } catch (err) {
-    // console.error("Error in analytics endpoint:", err);
-    return res.status(500).json({ error: "Internal server error" });
+const server = http.createServer(app);
+const io = new Server(server, {
+  cors: { 
+    origin: [
+      'http://127.0.0.1',
+      'http://localhost:5173',
+      'https://1414187165146943518.discordsays.com',  // Discord Activity domain
+      'https://discord-frontend-virid.vercel.app',  // Production frontend
+      'https://discordbackend-xggi.onrender.com'  // Production backend (self)
+    ],
+    methods: ["GET", "POST"],
+    credentials: true
   }
 });
 
-// Health check endpoint for HTTP-based socket alternative
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: Date.now(),
-    message: 'Server is running',
-    environment: 'production'
+// Broadcast engine events to Socket.IO clients so both transports see the same game
+engine.on('question_started', ({ roomId, room }) => {
+  const payload = engine.getQuestionPayload(room);
+  
+  // Update analytics
+  analytics.totalGamesPlayed++;
+  analytics.dailyStats.gamesPlayed++;
+  analytics.activeChannels.add(roomId);
+  room.getParticipantIds().forEach(playerId => {
+    analytics.dailyStats.uniquePlayers.add(playerId);
   });
-});
-
-// Test endpoint for Discord URL mapping
-app.get('/api/discord-test', (req, res) => {
-  res.json({ 
-    message: 'Discord URL mapping is working!',
-    timestamp: Date.now(),
-    headers: req.headers
+  
+  io.to(roomId).emit('question_started', {
+    question: payload.question,
+    startTime: payload.startTime,
+    maxTime: payload.maxTime,
+    roundNumber: payload.roundNumber,
+    totalRounds: payload.totalRounds
   });
-});
-
-// Game event endpoint for HTTP-based communication
-app.post('/api/game-event', (req, res) => {
-  // console.log('🎮 [/api/game-event] Received request:', req.body);
-  const { event, data } = req.body;
   
-  try {
-    // Ensure room exists for HTTP requests (since no Socket.IO connection creates it)
-    if (data.roomId && !rooms[data.roomId]) {
-      // console.log(`🏠 Creating room for HTTP request: ${data.roomId}`);
-      
-      rooms[data.roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {}, // Start with empty scores - only restore when there's an active game
-        playerNames: {}, // Track player names for display
-        questionHistory: []
-      };
-    }
-    
-    // Handle the same events as socket.io but via HTTP
-    switch (event) {
-      case 'start_question':
-        // console.log(`🎯 [/api/game-event] Starting question for room: ${data.roomId}`);
-        
-        // Check if room exists
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // If not forcing new question and room has existing question, return it
-          if (!data.forceNew && room.currentQuestion) {
-            // console.log('📋 Returning existing question for synchronization (roundEnded:', room.roundEnded, ')');
-            
-            // Calculate remaining time based on when question started
-            const now = Date.now();
-            const questionStartTime = room.questionStartTime || now;
-            const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-            const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-            
-            res.json({ 
-              success: true, 
-              question: room.currentQuestion,
-              timeLeft: remainingTime,
-              startTime: questionStartTime,
-              showResult: room.roundEnded || remainingTime <= 0
-            });
-            return;
-          }
-          
-          // If forcing new question or no existing question, generate new one
-          if (data.forceNew) {
-            // console.log('🆕 Force new question requested (Next button clicked)');
-          }
-          
-          // Check if someone is already generating a question (prevent race condition)
-          if (room.generatingQuestion) {
-            // console.log('⏳ Question generation in progress, waiting...');
-            // Wait a bit and check again
-            setTimeout(() => {
-              if (room.currentQuestion) {
-                const now = Date.now();
-                const questionStartTime = room.questionStartTime || now;
-                const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-                const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-                
-                res.json({ 
-                  success: true, 
-                  question: room.currentQuestion,
-                  timeLeft: remainingTime,
-                  startTime: questionStartTime
-                });
-              } else {
-                res.json({ success: false, error: 'Failed to generate question' });
-              }
-            }, 100);
-            return;
-          }
-          
-          // Mark that we're generating a question (prevent race conditions)
-          room.generatingQuestion = true;
-          
-          // If forceNew is true (Restart Quiz button), reset all scores
-          if (data.forceNew) {
-            console.log('🔄 [/api/game-event] Resetting scores for new quiz session');
-            Object.keys(room.players || {}).forEach(playerId => {
-              if (room.players[playerId]) {
-                room.players[playerId].score = 0;
-              }
-            });
-            room.scores = {};
-            // Clear saved current scores for this room
-            StorageService.clearCurrentScores(data.roomId);
-            console.log('✅ [/api/game-event] Scores reset complete:', room.scores);
-          }
-          
-          // Generate new question - clear round ended state since we're starting fresh
-          const randomQuestionForSocket = getRandomQuestion();
-          const questionStartTime = Date.now();
-          
-          // Update room state with new question
-          room.currentQuestion = randomQuestionForSocket;
-          room.questionStartTime = questionStartTime;
-          room.lastActive = new Date();
-          room.gameState = 'playing';
-          room.roundEnded = false; // Reset round ended flag for new question
-          room.currentSelections = {}; // Clear previous selections
-          room.lastSelections = {}; // Clear last selections too
-          room.lastCorrectAnswer = null; // Clear last correct answer
-          room.resultShowStartTime = null; // Clear result show timer for new question
-          room.generatingQuestion = false; // Clear the lock
-          
-          console.log('🆕 Generated new question for room:', randomQuestionForSocket.isCard ? 'Card Question' : 'Trivia Question');
-          console.log('📄 Question details:', {
-            id: randomQuestionForSocket.id,
-            isCard: randomQuestionForSocket.isCard,
-            cardName: randomQuestionForSocket.cardName,
-            cardUrl: randomQuestionForSocket.cardUrl,
-            questionText: randomQuestionForSocket.question ? randomQuestionForSocket.question.substring(0, 50) + '...' : 'N/A'
-          });
-          console.log('🕒 Generated at timestamp:', new Date().toISOString());
-          
-          // For HTTP, return the question directly to the client
-          res.json({ 
-            success: true, 
-            question: randomQuestionForSocket,
-            timeLeft: MAX_TIME,
-            startTime: questionStartTime
-          });
-          return;
-        }
-        break;
-      
-      case 'select_option':
-        // console.log(`🎯 Option selected for room: ${data.roomId}`, data);
-        // Handle option selection with competitive flow (allow changing selection)
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // Store the selection (overwrites previous selection if changed)
-          if (!room.currentSelections) {
-            room.currentSelections = {};
-          }
-          
-          // Log if this is a changed selection
-          const previousSelection = room.currentSelections[data.playerId];
-          const isChange = previousSelection && (
-            (data.optionIndex !== undefined && previousSelection.optionIndex !== data.optionIndex) ||
-            (data.cardAnswer !== undefined && previousSelection.cardAnswer !== data.cardAnswer)
-          );
-          
-          // Create selection object based on question type
-          const selection = {
-            timeTaken: data.timeTaken,
-            timestamp: Date.now()
-          };
-          
-          if (data.cardAnswer !== undefined) {
-            // Card question answer
-            selection.cardAnswer = data.cardAnswer;
-            selection.isCorrect = data.isCorrect;
-            // console.log(`📊 Player ${data.playerId} ${isChange ? 'changed' : 'submitted'} card answer: "${data.cardAnswer}" (${data.isCorrect ? 'correct' : 'incorrect'})`);
-          } else {
-            // Regular trivia question answer
-            selection.optionIndex = data.optionIndex;
-            // console.log(`📊 Player ${data.playerId} ${isChange ? 'changed to' : 'selected'} option ${data.optionIndex}`);
-          }
-          
-          room.currentSelections[data.playerId] = selection;
-          
-          // CRITICAL: If round has ended (reveal phase), also update lastSelections
-          // This ensures selections made during grace period appear in reveal
-          if (room.roundEnded && room.lastSelections) {
-            // Convert to client format and update lastSelections
-            if (data.optionIndex !== undefined) {
-              room.lastSelections[data.playerId] = data.optionIndex;
-            } else if (data.isCorrect !== undefined) {
-              room.lastSelections[data.playerId] = data.isCorrect ? 'correct' : 'incorrect';
-            }
-            console.log(`🔄 [select_option] Updated lastSelections during reveal for player ${data.playerId}`);
-          }
-          
-          // Store player name for display purposes
-          if (data.playerName) {
-            room.playerNames[data.playerId] = data.playerName;
-            console.log(`👤 [/api/game-event] Stored player name: ${data.playerId} -> "${data.playerName}"`);
-          } else {
-            console.log(`⚠️ [/api/game-event] No playerName provided for player: ${data.playerId}`);
-          }
-          
-          room.lastActive = new Date();
-          
-          // console.log(`📊 Room ${data.roomId} selections:`, Object.keys(room.currentSelections).length);
-          
-          res.json({ success: true, message: isChange ? 'Selection changed' : 'Selection recorded' });
-          return;
-        }
-        break;
-        
-      case 'end_round':
-        console.log(`🏁 [/api/game-event] END_ROUND received for room: ${data.roomId}`);
-        // Handle round completion and reveal all selections
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          console.log(`🏁 [/api/game-event] Room state before end_round:`, {
-            roomId: data.roomId,
-            roundEnded: room.roundEnded,
-            hasCurrentQuestion: !!room.currentQuestion,
-            currentSelectionsCount: Object.keys(room.currentSelections || {}).length,
-            currentSelections: room.currentSelections || {}
-          });
-          
-          // Prevent duplicate round endings
-          if (room.roundEnded) {
-            console.log('⚠️ [/api/game-event] Round already ended, skipping duplicate request');
-            res.json({ 
-              success: true, 
-              action: 'round_complete',
-              data: {
-                selections: room.lastSelections || {},
-                scores: room.scores || {},
-                playerNames: room.playerNames || {},
-                correctAnswer: room.lastCorrectAnswer
-              }
-            });
-            return;
-          }
-          
-          // Mark round as ended
-          room.roundEnded = true;
-          
-          // Process selections and calculate scores
-          const roundSelections = room.currentSelections || {};
-          const currentQuestion = room.currentQuestion;
-          
-          if (currentQuestion) {
-            if (currentQuestion.isCard) {
-              // console.log('🎯 Scoring card question with answer:', currentQuestion.cardName);
-            } else {
-              // console.log('🎯 Scoring trivia question:', currentQuestion.question);
-              // console.log('🎯 Correct answer:', currentQuestion.answer);
-              // console.log('🎯 Options:', currentQuestion.options);
-            }
-            
-            // Calculate scores based on correct answers and time taken
-            Object.entries(roundSelections).forEach(([playerId, selection]) => {
-              if (!room.scores) room.scores = {};
-              if (!room.scores[playerId]) room.scores[playerId] = 0;
-              
-              let isCorrect = false;
-              
-              if (currentQuestion.isCard) {
-                // For card questions, check if the player submitted a correct answer
-                isCorrect = selection.isCorrect === true;
-                // console.log(`🎯 Card Question - Player ${playerId} answer was ${isCorrect ? 'correct' : 'incorrect'}`);
-              } else {
-                // For trivia questions, check option index against correct answer
-                const correctIndex = currentQuestion.options?.findIndex(opt => 
-                  opt.startsWith(currentQuestion.answer)
-                );
-                isCorrect = selection.optionIndex === correctIndex;
-                // console.log(`🎯 Trivia Question - Player ${playerId} selected option ${selection.optionIndex}, correct index is ${correctIndex}`);
-              }
-              
-              if (isCorrect) {
-                // Calculate time-based points
-                const points = calculatePointsFromTime(selection.timeTaken);
-                room.scores[playerId] += points;
-                // console.log(`✅ Player ${playerId} got it right! Time taken: ${selection.timeTaken}s, Points awarded: ${points}, New total: ${room.scores[playerId]}`);
-              } else {
-                // console.log(`❌ Player ${playerId} got it wrong. Score stays: ${room.scores[playerId]}`);
-              }
-
-            });
-            
-            // console.log('🏆 Final room scores:', room.scores);
-            
-            // Save current scores for persistence across room recreation
-            StorageService.saveCurrentScores(data.roomId, room.scores);
-          } else {
-            // console.log('⚠️ No current question found for scoring');
-          }
-          
-          // Convert selections format for client
-          const clientSelections = {};
-          Object.entries(roundSelections).forEach(([playerId, selection]) => {
-            if (selection.optionIndex !== undefined) {
-              clientSelections[playerId] = selection.optionIndex; // Trivia question
-            } else {
-              clientSelections[playerId] = selection.isCorrect ? 'correct' : 'incorrect'; // Card question
-            }
-          });
-          
-          // Store results for duplicate requests - get correct answer based on question type
-          const correctAnswer = currentQuestion?.isCard ? currentQuestion.cardName : currentQuestion?.answer;
-          room.lastSelections = clientSelections;
-          room.lastCorrectAnswer = correctAnswer;
-          
-          console.log(`📊 [/api/game-event end_round] Stored lastSelections:`, {
-            roomId: data.roomId,
-            roundSelectionsKeys: Object.keys(roundSelections),
-            roundSelections: JSON.stringify(roundSelections),
-            clientSelectionsKeys: Object.keys(clientSelections),
-            clientSelections,
-            lastSelections: room.lastSelections,
-            playerNames: room.playerNames
-          });
-          
-          // Send reveal data
-          const responseData = {
-            success: true, 
-            action: 'round_complete',
-            data: {
-              selections: clientSelections,
-              scores: room.scores || {},
-              playerNames: room.playerNames || {},
-              correctAnswer: correctAnswer
-            }
-          };
-          
-          console.log('📤 [/api/game-event] Sending round completion with playerNames:', room.playerNames);
-          res.json(responseData);
-          
-          // Clear selections for next round but keep question until next round starts
-          room.currentSelections = {};
-          // Mark round as ended but don't clear question yet - let next question request handle it
-          room.roundEnded = true;
-          // console.log('🔄 [/api/game-event] Round marked as completed, ready for next question');
-          return;
-        }
-        break;
-      
-      case 'reset_scores':
-        // console.log(`🔄 [/api/game-event] Resetting scores for room: ${data.roomId}`);
-        
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // Reset all scores to 0
-          room.scores = {};
-          Object.keys(room.players || {}).forEach(playerId => {
-            if (room.players[playerId]) {
-              room.players[playerId].score = 0;
-            }
-          });
-          
-          // Clear saved current scores for this room
-          if (StorageService && typeof StorageService.clearCurrentScores === 'function') {
-            StorageService.clearCurrentScores(data.roomId);
-          }
-          
-          console.log('✅ [/api/game-event] Scores reset for room:', data.roomId);
-          
-          // Broadcast score reset to all clients in the room
-          if (io) {
-            io.to(data.roomId).emit('scores_reset', {
-              scores: {},
-              timestamp: new Date().toISOString()
-            });
-          }
-          
-          res.json({ success: true, scores: {} });
-          return;
-        }
-        break;
-    }
-    
-    res.json({ success: true });
-  } catch (error) {
-    // console.error('Game event error:', error);
-    res.status(500).json({ error: 'Failed to process game event' });
-  }
+  // Broadcast cleared selections to all clients to prevent old badges from persisting
+  io.to(roomId).emit('gameState', {
+    currentQuestion: payload.question,
+    timeLeft: payload.timeLeft,
+    showResult: false,
+    gameState: room.gameState,
+    questionStartTime: room.questionStartTime,
+    selections: {},
+    scores: room.scores,
+    playerNames: room.playerNames
+  });
 });
 
-
-function calculatePointsFromTime(timeTaken) {
-  
-  if (!timeTaken || timeTaken <= 0) {
- 
-    return 0;
-  }
-  
-  // Calculate time left (MAX_TIME - timeTaken)
-  const timeLeft = Math.max(0, MAX_TIME - timeTaken);
-  // console.log(`🔍 timeLeft = MAX_TIME(${MAX_TIME}) - timeTaken(${timeTaken}) = ${timeLeft}`);
-  
-  // Normalize to [0..1] range
-  const x = Math.max(0, Math.min(1, timeLeft / MAX_TIME));
-  // console.log(`🔍 x = timeLeft(${timeLeft}) / MAX_TIME(${MAX_TIME}) = ${x}`);
-  
-  // Apply power curve: f(x) = MAX_POINTS * x^SCORING_EXPONENT
-  const raw = MAX_POINTS * Math.pow(x, SCORING_EXPONENT);
-  // console.log(`🔍 raw = MAX_POINTS(${MAX_POINTS}) * x(${x})^${SCORING_EXPONENT} = ${raw}`);
-  
-  const points = Math.round(raw);
-  // console.log(`🔍 Final points = Math.round(${raw}) = ${points}`);
-  
-  return points;
-}
-
-// Age of Empires III Home City Cards
-const cardNames = [
-  "Conquistador", "Team Fencing Instructor", "Unction", "Team Spanish Road", "Team Hidalgos",
-  "Native Lore", "Advanced Trading Post", "Town Militia", "Pioneers", "Advanced Mill",
-  "Advanced Market", "Advanced Estate", "Advanced Dock", "Llama Ranching", "Ranching",
-  "Fish Market", "Schooners", "Sawmills", "Exotic Hardwoods", "Team Ironmonger",
-  "Stockyards", "Furrier", "Rum Distillery", "Capitalism", "Stonemasons",
-  "Land Grab", "Team Coastal Defenses", "Tercio Tactics", "Reconquista", "Advanced Arsenal",
-  "Extensive Fortifications", "Rendering Plant", "Silversmith", "Sustainable Agriculture", "Spice Trade",
-  "Medicine", "Cigar Roller", "Spanish Galleons", "Theaters", "Caballeros",
-  "Liberation March", "Spanish Gold", "Armada", "Mercenary Loyalty", "Grenade Launchers",
-  "Improved Buildings", "Blood Brothers", "Peninsular Guerrillas", "Advanced Balloon", "Florence Nightingale",
-  "Virginia Company", "South Sea Bubble", "Fulling Mills", "Yeomen", "Siege Archery",
-  "Master Surgeons", "Northwest Passage", "Distributivism", "Wilderness Warfare", "French Royal Army",
-  "Naval Gunners", "Thoroughbreds", "Gribeauval System", "Navigator", "Agents",
-  "Portuguese White Fleet", "Carracks", "Stadhouder", "Admiral Tromp", "Tulip Speculation",
-  "Willem", "Polar Explorer", "Engineering School", "Suvorov Reforms", "Ransack",
-  "Polk", "Offshore Support", "Germantown Farmers", "Guild Artisans", "Spanish Riding School",
-  "Mosque Construction", "Flight Archery", "New Ways", "Beaver Wars", "Medicine Wheels",
-  "Black Arrow", "Silent Strike", "Smoking Mirror", "Boxer Rebellion", "Western Reforms",
-  "Advanced Wonders", "Seven Lucky Gods", "Desert Terror", "Foreign Logging", "Salt Ponds",
-  "Imperial Unity", "Duelist", "Trample Tactics", "Virginia Oak", "Coffee Mill Guns",
-  "Bushburning", "Beekeepers", "Koose", "Kingslayer", "Barbacoa",
-  "Man of Destiny", "Freemasons", "Admirality", "Advanced Commanderies", "Bailiff",
-  "Fire Towers", "Native Treaties", "Advanced Scouts", "Grain Market", "Chinampa",
-  "Knight Hitpoints", "Knight Attack", "Aztec Mining", "Ritual Gladiators", "Artificial Islands",
-  "Knight Combat", "Scorched Earth", "Aztec Fortification", "Chichimeca Rebellion", "Wall of Skulls",
-  "Old Ways", "Improved Warships", "Terraced Houses", "Rangers", "Textile Mill",
-  "Refrigeration", "Royal Mint", "Greenwich Time", "Dowager Empress", "Year of the Goat",
-  "Year of the Tiger", "Year of the Ox", "Year of the Dragon", "Acupuncture",
-  "Repelling Volley", "Native Crafts", "Colbertism", "Cartridge Currency", "European Cannons",
-  "Voyageur", "Solingen Steel", "Town Destroyer", "Battlefield Construction", "Conservative Tactics",
-  "Dane Guns"
-];
-
-// Helper: Convert card name to image path (for client-side)
-const getCardImagePath = (cardName) => {
-  // Convert spaces to underscores and remove special characters for filename  
-  const fileName = cardName.replace(/\s+/g, '_').replace(/[:/]/g, '');
-  // Return path that client can dynamically import
-  return `cards/${fileName}.png`;
-};
-
-// Helper function to pick a random question (including cards)
-function getRandomQuestion() {
-  // 50% chance to pick a HC card "guess the card" style question (perfectly balanced)
-  const pickCard = Math.random() < 0.45 && cardNames.length > 0;
-
-  if (pickCard) {
-    const idx = Math.floor(Math.random() * cardNames.length);
-    const name = cardNames[idx];
-    const url = getCardImagePath(name);
-
-    return {
-      isCard: true,
-      cardName: name,
-      cardUrl: url,
-      id: `card_${idx}_${Date.now()}` // Include timestamp for uniqueness
-    };
+engine.on('answer_submitted', ({ roomId, room, playerId, selection, isChange }) => {
+  if (!isChange) {
+    analytics.totalQuestionsAnswered++;
+    analytics.dailyStats.questionsAnswered++;
   }
-
-  // Otherwise pick trivia question
-  const randomIndex = Math.floor(Math.random() * questions.length);
-  const question = questions[randomIndex];
   
-  // Return question in the same format as the JSON file with UNIQUE string ID
-  // Use timestamp to ensure each question instance has a unique ID
-  return {
-    question: question.question,
-    options: question.options,
-    answer: question.answer,
-    id: `trivia_${randomIndex}_${Date.now()}`, // Include timestamp for uniqueness
-    isCard: false
-  };
-}
+  io.to(roomId).emit('player_selected', {
+    playerId,
+    optionIndex: selection.optionIndex,
+    playerName: room.playerNames[playerId]
+  });
+});
 
-// Fallback game event endpoint (Discord strips /api prefix)
-app.post('/game-event', (req, res) => {
-  // console.log('🎮 [/game-event] Fallback endpoint hit:', req.body);
-  const { event, data } = req.body;
-  
-  try {
-    // Ensure room exists for HTTP requests (since no Socket.IO connection creates it)
-    if (data.roomId && !rooms[data.roomId]) {
-      // console.log(`🏠 Creating room for HTTP request: ${data.roomId}`);
-      
-      rooms[data.roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {}, // Start with empty scores - only restore when there's an active game
-        playerNames: {}, // Track player names for display
-        questionHistory: []
-      };
-    }
-    
-    // Handle the same events as socket.io but via HTTP
-    switch (event) {
-      case 'start_question':
-        // console.log(`🎯 [/game-event] Starting question for room: ${data.roomId}`);
-        
-        // Check if room exists
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // If not forcing new question and room has existing question, return it
-          if (!data.forceNew && room.currentQuestion) {
-            // console.log('📋 [/game-event] Returning existing question for synchronization (roundEnded:', room.roundEnded, ')');
-            
-            // Calculate remaining time based on when question started
-            const now = Date.now();
-            const questionStartTime = room.questionStartTime || now;
-            const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-            const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-            
-            res.json({ 
-              success: true, 
-              action: 'question_started',
-              data: {
-                question: room.currentQuestion,
-                timeLeft: remainingTime,
-                startTime: questionStartTime,
-                showResult: room.roundEnded || remainingTime <= 0
-              }
-            });
-            return;
-          }
-          
-          // If forcing new question or no existing question, generate new one
-          if (data.forceNew) {
-            // console.log('🆕 [/game-event] Force new question requested (Next button clicked)');
-          }
-          
-          // Check if someone is already generating a question (prevent race condition)
-          if (room.generatingQuestion) {
-            // console.log('⏳ Question generation in progress, waiting...');
-            // Wait a bit and check again
-            setTimeout(() => {
-              if (room.currentQuestion) {
-                const now = Date.now();
-                const questionStartTime = room.questionStartTime || now;
-                const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-                const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-                
-                res.json({ 
-                  success: true, 
-                  action: 'question_started',
-                  data: {
-                    question: room.currentQuestion,
-                    timeLeft: remainingTime,
-                    startTime: questionStartTime
-                  }
-                });
-              } else {
-                res.json({ success: false, error: 'Failed to generate question' });
-              }
-            }, 100);
-            return;
-          }
-          
-          // Mark that we're generating a question
-          room.generatingQuestion = true;
-          
-          // If room already has an active question and game is in progress, return existing question
-          if (room.currentQuestion && room.gameState === 'playing' && !room.roundEnded) {
-            // console.log('📋 Returning existing question for synchronization');
-            const questionResponse = {
-              question: room.currentQuestion,
-              timeLeft: MAX_TIME,
-              startTime: Date.now()
-            };
-            res.json({ 
-              success: true, 
-              action: 'question_started',
-              data: questionResponse 
-            });
-            return;
-          }
-          
-          // If room already has an active question and game is in progress, return existing question
-          if (room.currentQuestion && room.gameState === 'playing' && !room.roundEnded) {
-            // console.log('📋 Returning existing question for synchronization');
-            
-            // Calculate remaining time based on when question started
-            const now = Date.now();
-            const questionStartTime = room.questionStartTime || now;
-            const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-            const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-            
-            const questionResponse = {
-              question: room.currentQuestion,
-              timeLeft: remainingTime,
-              startTime: questionStartTime
-            };
-            res.json({ 
-              success: true, 
-              action: 'question_started',
-              data: questionResponse 
-            });
-            return;
-          }
-          
-          // If forceNew is true (Restart Quiz button), reset all scores
-          if (data.forceNew) {
-            // console.log('🔄 [Game Event] Resetting scores for new quiz session');
-            Object.keys(room.players).forEach(playerId => {
-              room.players[playerId].score = 0;
-            });
-            room.scores = {};
-            // Clear saved current scores for this room
-            StorageService.clearCurrentScores(data.roomId);
-          }
-          
-          // Generate new question only if no active question or round ended
-          const randomQuestion = getRandomQuestion();
-          const questionStartTime = Date.now();
-          
-          // Update room state with new question
-          room.currentQuestion = randomQuestion;
-          room.questionStartTime = questionStartTime;
-          room.lastActive = new Date();
-          room.gameState = 'playing';
-          room.roundEnded = false;
-          room.currentSelections = {}; // Clear previous selections
-          room.lastSelections = {}; // Clear last selections too
-          room.lastCorrectAnswer = null; // Clear last correct answer
-          room.resultShowStartTime = null; // Clear result show timer for new question
-          room.generatingQuestion = false; // Clear the lock
-          
-          // console.log('🆕 Generated new question for room:', randomQuestion.isCard ? 'Card Question' : 'Trivia Question');
-          
-          const questionResponse = {
-            question: randomQuestion,
-            timeLeft: MAX_TIME,
-            startTime: questionStartTime
-          };
-          
-          res.json({ 
-            success: true, 
-            action: 'question_started',
-            data: questionResponse 
-          });
-          return;
-        }
-        break;
-      
-      case 'select_option':
-        // console.log(`🎯 Option selected for room: ${data.roomId}`, data);
-        // Handle option selection with competitive flow (allow changing selection)
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // Store the selection (overwrites previous selection if changed)
-          if (!room.currentSelections) {
-            room.currentSelections = {};
-          }
-          
-          // Log if this is a changed selection
-          const previousSelection = room.currentSelections[data.playerId];
-          const isChange = previousSelection && (
-            (data.optionIndex !== undefined && previousSelection.optionIndex !== data.optionIndex) ||
-            (data.cardAnswer !== undefined && previousSelection.cardAnswer !== data.cardAnswer)
-          );
-          
-          // Create selection object based on question type
-          const selection = {
-            timeTaken: data.timeTaken,
-            timestamp: Date.now()
-          };
-          
-          if (data.cardAnswer !== undefined) {
-            // Card question answer
-            selection.cardAnswer = data.cardAnswer;
-            selection.isCorrect = data.isCorrect;
-            // console.log(`📊 Player ${data.playerId} ${isChange ? 'changed' : 'submitted'} card answer: "${data.cardAnswer}" (${data.isCorrect ? 'correct' : 'incorrect'})`);
-          } else {
-            // Regular trivia question answer
-            selection.optionIndex = data.optionIndex;
-            // console.log(`📊 Player ${data.playerId} ${isChange ? 'changed to' : 'selected'} option ${data.optionIndex}`);
-          }
-          
-          room.currentSelections[data.playerId] = selection;
-          
-          // CRITICAL: If round has ended (reveal phase), also update lastSelections
-          // This ensures selections made during grace period appear in reveal
-          if (room.roundEnded && room.lastSelections) {
-            // Convert to client format and update lastSelections
-            if (data.optionIndex !== undefined) {
-              room.lastSelections[data.playerId] = data.optionIndex;
-            } else if (data.isCorrect !== undefined) {
-              room.lastSelections[data.playerId] = data.isCorrect ? 'correct' : 'incorrect';
-            }
-            console.log(`🔄 [/game-event select_option] Updated lastSelections during reveal for player ${data.playerId}`);
-          }
-          
-          // Store player name for display purposes
-          if (data.playerName) {
-            room.playerNames[data.playerId] = data.playerName;
-          }
-          
-          room.lastActive = new Date();
-          
-          // console.log(`📊 Room ${data.roomId} selections:`, Object.keys(room.currentSelections).length);
-          
-          res.json({ success: true, message: isChange ? 'Selection changed' : 'Selection recorded' });
-          return;
-        }
-        
-        res.json({ success: true });
-        return;
-        
-      case 'end_round':
-        // console.log(`🏁 [/game-event] Ending round for room: ${data.roomId}`);
-        // Handle round completion and reveal all selections
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // Prevent duplicate round endings
-          if (room.roundEnded) {
-            // console.log('⚠️ Round already ended for this room, skipping duplicate request');
-            res.json({ 
-              success: true, 
-              action: 'round_complete',
-              data: {
-                selections: room.lastSelections || {},
-                scores: room.scores || {},
-                playerNames: room.playerNames || {},
-                correctAnswer: room.lastCorrectAnswer
-              }
-            });
-            return;
-          }
-          
-          // Mark round as ended
-          room.roundEnded = true;
-          
-          // Process selections and calculate scores
-          const roundSelections = room.currentSelections || {};
-          const currentQuestion = room.currentQuestion;
-          
-          if (currentQuestion) {
-            if (currentQuestion.isCard) {
-              // console.log('🎯 Scoring card question with answer:', currentQuestion.cardName);
-            } else {
-              // console.log('🎯 Scoring trivia question:', currentQuestion.question);
-              // console.log('🎯 Correct answer:', currentQuestion.answer);
-              // console.log('🎯 Options:', currentQuestion.options);
-            }
-            
-            // Calculate scores based on correct answers and time taken
-            Object.entries(roundSelections).forEach(([playerId, selection]) => {
-              if (!room.scores) room.scores = {};
-              if (!room.scores[playerId]) room.scores[playerId] = 0;
-              
-              let isCorrect = false;
-              
-              if (currentQuestion.isCard) {
-                // For card questions, check if the player submitted a correct answer
-                isCorrect = selection.isCorrect === true;
-                // console.log(`🎯 Card Question - Player ${playerId} answer was ${isCorrect ? 'correct' : 'incorrect'}`);
-              } else {
-                // For trivia questions, check option index against correct answer
-                const correctIndex = currentQuestion.options?.findIndex(opt => 
-                  opt.startsWith(currentQuestion.answer)
-                );
-                isCorrect = selection.optionIndex === correctIndex;
-                // console.log(`🎯 Trivia Question - Player ${playerId} selected option ${selection.optionIndex}, correct index is ${correctIndex}`);
-              }
-              
-              if (isCorrect) {
-                // Calculate time-based points
-                const points = calculatePointsFromTime(selection.timeTaken);
-                room.scores[playerId] += points;
-                // console.log(`✅ Player ${playerId} got it right! Time taken: ${selection.timeTaken}s, Points awarded: ${points}, New total: ${room.scores[playerId]}`);
-              } else {
-                // console.log(`❌ Player ${playerId} got it wrong. Score stays: ${room.scores[playerId]}`);
-              }
-            });
-            
-            // console.log('🏆 Final room scores:', room.scores);
-            
-            // Save current scores for persistence across room recreation
-            StorageService.saveCurrentScores(data.roomId, room.scores);
-          } else {
-            // console.log('⚠️ No current question found for scoring');
-          }
-          
-          // Convert selections format for client
-          const clientSelections = {};
-          Object.entries(roundSelections).forEach(([playerId, selection]) => {
-            if (selection.optionIndex !== undefined) {
-              clientSelections[playerId] = selection.optionIndex; // Trivia question
-            } else {
-              clientSelections[playerId] = selection.isCorrect ? 'correct' : 'incorrect'; // Card question
-            }
-          });
-          
-          // Store results for duplicate requests - get correct answer based on question type
-          const correctAnswer = currentQuestion?.isCard ? currentQuestion.cardName : currentQuestion?.answer;
-          room.lastSelections = clientSelections;
-          room.lastCorrectAnswer = correctAnswer;
-          
-          // Send reveal data
-          const responseData = {
-            success: true, 
-            action: 'round_complete',
-            data: {
-              selections: clientSelections,
-              scores: room.scores || {},
-              playerNames: room.playerNames || {},
-              correctAnswer: correctAnswer
-            }
-          };
-          
-          console.log('📤 [/game-event] Sending round completion with playerNames:', room.playerNames);
-          res.json(responseData);
-          
-          // Clear selections for next round but keep question until next round starts
-          room.currentSelections = {};
-          // Mark round as ended but don't clear question yet - let next question request handle it
-          room.roundEnded = true;
-          // console.log('🔄 [/game-event] Round marked as completed, ready for next question');
-          return;
-        }
-        break;
-      
-      case 'reset_scores':
-        // console.log(`🔄 [/game-event] Resetting scores for room: ${data.roomId}`);
-        
-        if (data.roomId && rooms[data.roomId]) {
-          const room = rooms[data.roomId];
-          
-          // Reset all scores to 0
-          room.scores = {};
-          Object.keys(room.players || {}).forEach(playerId => {
-            if (room.players[playerId]) {
-              room.players[playerId].score = 0;
-            }
-          });
-          
-          // Clear saved current scores for this room
-          if (StorageService && typeof StorageService.clearCurrentScores === 'function') {
-            StorageService.clearCurrentScores(data.roomId);
-          }
-          
-          console.log('✅ [/game-event] Scores reset for room:', data.roomId);
-          
-          // Broadcast score reset to all clients in the room
-          if (io) {
-            io.to(data.roomId).emit('scores_reset', {
-              scores: {},
-              timestamp: new Date().toISOString()
-            });
-          }
-          
-          res.json({ success: true, scores: {} });
-          return;
-        }
-        break;
-    }
-    
-    res.json({ success: true });
-  } catch (error) {
-    // console.error('Game event error:', error);
-    res.status(500).json({ error: 'Failed to process game event' });
-  }
+engine.on('round_complete', ({ roomId, room, result }) => {
+  io.to(roomId).emit('round_complete', result);
+  // Legacy socket clients listen for show_result
+  io.to(roomId).emit('show_result', {
+    correctIndex: result.correctIndex,
+    scores: result.scores,
+    selections: result.selections
+  });
+  io.to(roomId).emit('room_state', {
+    players: room.getPlayerList(),
+    scores: room.scores,
+    gameState: room.gameState
+  });
 });
 
-// Game state endpoint for polling (read-only, doesn't generate questions)
-app.get('/api/game-state/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  
-  try {
-    // Ensure room exists (create if needed for HTTP requests)
-    if (roomId && !rooms[roomId]) {
-      // console.log(`🏠 [api/game-state] Creating room for request: ${roomId}`);
-      rooms[roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {},
-        playerNames: {},
-        questionHistory: []
-      };
-    }
-    
-    const room = rooms[roomId];
-    if (room && room.currentQuestion) {
-      // Calculate remaining time based on when question started
-      let remainingTime = MAX_TIME;
-      if (room.questionStartTime) {
-        const now = Date.now();
-        const elapsedSeconds = Math.floor((now - room.questionStartTime) / 1000);
-        remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-      }
-      
-      // If question has expired (0 seconds left), check grace period
-      if (remainingTime <= 0) {
-        const now = Date.now();
-        const timeSinceStart = now - room.questionStartTime;
-        const gracePeriodExpired = timeSinceStart > (MAX_TIME * 1000 + GRACE_PERIOD_MAX);
-        
-        // DISABLED: Don't auto-clear - let the "Next Question" button handle clearing
-        // This prevents badges from disappearing during reveal phase
-        // The reveal phase should persist until user clicks "Next Question"
-        /*
-        if (gracePeriodExpired) {
-          console.log('🧹 [api/game-state] Grace period expired, but keeping roundEnded=true for persistent reveal. Room:', roomId);
-          // DON'T reset roundEnded - keep reveal phase active until Next Question clicked
-          // room.roundEnded stays true so badges persist
-          // Just clear the question and selections
-          room.currentQuestion = null;
-          room.questionStartTime = null;
-          // room.roundEnded = false;  ← REMOVED: Don't reset reveal phase
-          room.currentSelections = {};
-          room.gameState = 'waiting';
-          
-          // Return clean state
-          res.json({
-            success: true,
-            currentQuestion: null,
-            timeLeft: MAX_TIME,
-            showResult: false,
-            gameState: 'waiting',
-            roundEnded: false,
-            questionStartTime: null,
-            selections: {},
-            scores: room.scores || {},
-            playerNames: room.playerNames || {}
-          });
-          return;
-        }
-        */
-        
-        // Instead of auto-clearing, just keep showing the reveal
-        // Return question with showResult=true based on roundEnded flag
-        
-        // If round has been completed (scored), clear everything
-        if (room.roundEnded) {
-          // console.log('🧹 [api/game-state] Clearing completed question from room:', roomId);
-          room.currentQuestion = null;
-          room.questionStartTime = null;
-          room.roundEnded = false;
-          room.currentSelections = {};
-          room.gameState = 'waiting';
-          
-          // Return clean state for fresh start
-          res.json({
-            success: true,
-            currentQuestion: null,
-            timeLeft: MAX_TIME,
-            showResult: false,
-            gameState: 'waiting',
-            roundEnded: false,
-            questionStartTime: null,
-            selections: {},
-            scores: room.scores || {},
-            playerNames: room.playerNames || {}
-          });
-          return;
-        } else {
-          // Time expired but round not yet processed - DON'T show results yet
-          // Wait for client to call end_round to properly set roundEnded flag
-          // This prevents premature reveal before end_round is called
-          const selectionsToSend = room.roundEnded ? (room.lastSelections || {}) : (room.currentSelections || {});
-          res.json({
-            success: true,
-            currentQuestion: room.currentQuestion,
-            timeLeft: 0,
-            showResult: room.roundEnded, // CRITICAL: Only show results AFTER end_round is called
-            gameState: 'active',
-            roundEnded: room.roundEnded,
-            questionStartTime: room.questionStartTime,
-            selections: selectionsToSend,
-            scores: room.scores || {},
-            playerNames: room.playerNames || {}
-          });
-          return;
-        }
-      }
-      
-      // console.log('📋 [api/game-state] Returning existing question for room:', roomId, 'timeLeft:', remainingTime);
-      
-      // CRITICAL: Use lastSelections if round has ended (reveal phase), otherwise currentSelections
-      const selectionsToSend = room.roundEnded ? (room.lastSelections || {}) : (room.currentSelections || {});
-      // CRITICAL: Only show results when roundEnded is true (after end_round event)
-      // Don't trigger reveal just because time <= 0 (prevents premature reveal)
-      const showResultValue = room.roundEnded;
-      console.log(`📤 [api/game-state] Sending selections for room ${roomId}:`, {
-        roundEnded: room.roundEnded,
-        remainingTime,
-        showResult: showResultValue,
-        selectionsToSend,
-        lastSelections: room.lastSelections,
-        currentSelections: room.currentSelections
-      });
-      res.json({
-        success: true,
-        currentQuestion: room.currentQuestion,
-        timeLeft: remainingTime,
-        showResult: showResultValue,
-        gameState: room.gameState,
-        roundEnded: room.roundEnded,
-        questionStartTime: room.questionStartTime,
-        selections: selectionsToSend,
-        scores: room.scores || {},
-        playerNames: room.playerNames || {}
-      });
-    } else {
-      // console.log('📋 [game-state] No current question for room:', roomId);
-      res.json({
-        success: true,
-        currentQuestion: null,
-        timeLeft: MAX_TIME,
-        showResult: false,
-        gameState: 'waiting',
-        roundEnded: false,
-        questionStartTime: null,
-        selections: {},
-        scores: room ? (room.scores || {}) : {},
-        playerNames: room ? (room.playerNames || {}) : {}
-      });
-    }
-  } catch (error) {
-    // console.error('Game state error:', error);
-    res.status(500).json({ error: 'Failed to get game state' });
-  }
+// Every lobby/question/reveal/intermission/finished change, for clients that follow the flow
+engine.on('state_changed', ({ roomId, room, from, to, reason }) => {
+  io.to(roomId).emit('state_changed', {
+    from,
+    state: to,
+    reason,
+    roundNumber: room.roundNumber,
+    changedAt: room.stateChangedAt
+  });
 });
 
-// Fallback game state endpoint (Discord strips /api prefix)
-app.get('/game-state/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  
-  try {
-    // Ensure room exists (create if needed for HTTP requests)
-    if (roomId && !rooms[roomId]) {
-      // console.log(`🏠 [game-state] Creating room for request: ${roomId}`);
-      rooms[roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {},
-        playerNames: {},
-        questionHistory: []
-      };
-    }
-    
-    const room = rooms[roomId];
-    if (room && room.currentQuestion) {
-      // Calculate remaining time based on when question started
-      let remainingTime = MAX_TIME;
-      if (room.questionStartTime) {
-        const now = Date.now();
-        const elapsedSeconds = Math.floor((now - room.questionStartTime) / 1000);
-        remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-      }
-      
-      // If question has expired (0 seconds left), check grace period
-      if (remainingTime <= 0) {
-        const now = Date.now();
-        const timeSinceStart = now - room.questionStartTime;
-        const gracePeriodExpired = timeSinceStart > (MAX_TIME * 1000 + GRACE_PERIOD_MAX);
-        
-        // DISABLED: Don't auto-clear - let the "Next Question" button handle clearing
-        // This prevents badges from disappearing during reveal phase
-        /*
-        if (gracePeriodExpired) {
-          // console.log('🧹 [game-state] Grace period expired, auto-clearing question. Room:', roomId);
-          room.currentQuestion = null;
-          room.questionStartTime = null;
-          room.roundEnded = false;
-          room.currentSelections = {};
-          room.gameState = 'waiting';
-          room.resultShowStartTime = null;
-          
-          // Return clean state
-          res.json({
-            success: true,
-            currentQuestion: null,
-            timeLeft: MAX_TIME,
-            showResult: false,
-            gameState: 'waiting',
-            roundEnded: false,
-            questionStartTime: null,
-            selections: {},
-            scores: room.scores || {},
-            playerNames: room.playerNames || {}
-          });
-          return;
-        }
-        */
-        
-        // DISABLED: Auto-clear logic commented out to preserve reveal phase
-        // Reveal badges should persist until user clicks "Next Question"
-        // Just keep showing the reveal with roundEnded flag
-        
-        // Use roundEnded flag to determine what to send
-        const selectionsToSend = room.roundEnded ? (room.lastSelections || {}) : (room.currentSelections || {});
-        res.json({
-          success: true,
-          currentQuestion: room.currentQuestion,
-          timeLeft: 0,
-          showResult: room.roundEnded, // CRITICAL: Show results when round ended
-          gameState: 'active',
-          roundEnded: room.roundEnded,
-          questionStartTime: room.questionStartTime,
-          selections: selectionsToSend,
-          scores: room.scores || {},
-          playerNames: room.playerNames || {}
-        });
-        return;
-      }
-      
-      console.log('📋 [game-state] Returning existing question for room:', roomId, 'timeLeft:', remainingTime, 'questionID:', room.currentQuestion?.id);
-      
-      // CRITICAL: Use lastSelections if round has ended (reveal phase), otherwise currentSelections
-      const selectionsToSend = room.roundEnded ? (room.lastSelections || {}) : (room.currentSelections || {});
-      res.json({
-        success: true,
-        currentQuestion: room.currentQuestion,
-        timeLeft: remainingTime,
-        showResult: room.roundEnded, // CRITICAL: Only show results after end_round
-        gameState: room.gameState,
-        roundEnded: room.roundEnded,
-        questionStartTime: room.questionStartTime,
-        selections: selectionsToSend,
-        scores: room.scores || {},
-        playerNames: room.playerNames || {}
-      });
-    } else {
-      // console.log('📋 [game-state] No current question for room:', roomId);
-      res.json({
-        success: true,
-        currentQuestion: null,
-        timeLeft: MAX_TIME,
-        showResult: false,
-        gameState: 'waiting',
-        roundEnded: false,
-        questionStartTime: null
-      });
-    }
-  } catch (error) {
-    // console.error('Game state error:', error);
-    res.status(500).json({ error: 'Failed to get game state' });
-  }
+engine.on('deck_reshuffled', ({ roomId, pool }) => {
+  // Every question of this pool has been used in the room today; repeats start now
+  io.to(roomId).emit('deck_reshuffled', {
+    pool,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Start question endpoint for Next button functionality
-app.post('/api/start_question', (req, res) => {
-  const { roomId, forceNew } = req.body;
-  
-  // console.log(`🎯 [/api/start_question] Starting question for room: ${roomId}, forceNew: ${forceNew}`);
-  
-  if (!roomId) {
-    return res.status(400).json({ success: false, error: 'Missing roomId' });
-  }
-  
-  try {
-    // Ensure room exists
-    if (!rooms[roomId]) {
-      // console.log(`🏠 Creating room for start_question request: ${roomId}`);
-      rooms[roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {},
-        playerNames: {},
-        questionHistory: []
-      };
-    }
-    
-    const room = rooms[roomId];
-    
-    // If not forcing new question and room has existing question, return it
-    if (!forceNew && room.currentQuestion && !room.roundEnded) {
-      // console.log('📋 [/api/start_question] Returning existing question for synchronization');
-      
-      // Calculate remaining time based on when question started
-      const now = Date.now();
-      const questionStartTime = room.questionStartTime || now;
-      const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-      const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-      
-      return res.json({ 
-        success: true, 
-        question: room.currentQuestion,
-        timeLeft: remainingTime,
-        startTime: questionStartTime,
-        showResult: room.roundEnded || remainingTime <= 0
-      });
-    }
-    
-    // SPECIAL CASE: If forcing new question but a question was just generated very recently,
-    // return the recent question to prevent race conditions from Next button clicks
-    if (forceNew && room.currentQuestion && room.questionStartTime) {
-      const now = Date.now();
-      const timeSinceGeneration = now - room.questionStartTime;
-      
-      // If question was generated less than 3 seconds ago, return it instead of generating new one
-      if (timeSinceGeneration < 3000) {
-        // console.log(`🔄 [/api/start_question] ForceNew request but question generated ${timeSinceGeneration}ms ago - returning recent question`);
-        // console.log('📄 Returning question details:', {
-          // isCard: room.currentQuestion.isCard,
-          // cardName: room.currentQuestion.cardName,
-          // cardUrl: room.currentQuestion.cardUrl,
-          // questionText: room.currentQuestion.question ? room.currentQuestion.question.substring(0, 50) + '...' : 'N/A'
-        // });
-        const elapsedSeconds = Math.floor(timeSinceGeneration / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: room.questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      }
-    }
-    
-    // Check if someone is already generating a question (prevent race condition)
-    if (room.generatingQuestion) {
-      // console.log('⏳ [/api/start_question] Question generation in progress, waiting...');
-      // Return existing question or wait for generation to complete
-      if (room.currentQuestion && !room.roundEnded) {
-        const now = Date.now();
-        const questionStartTime = room.questionStartTime || now;
-        const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      } else {
-        // Wait for generation to complete
-        return res.status(409).json({ success: false, error: 'Question generation in progress, try again' });
-      }
-    }
-    
-    // Additional check: prevent rapid successive question generation
-    const now = Date.now();
-    if (room.lastQuestionGenerated && (now - room.lastQuestionGenerated) < 2000) {
-      // console.log('🚫 [/api/start_question] Rate limiting: Too soon after last question generation');
-      if (room.currentQuestion) {
-        const questionStartTime = room.questionStartTime || now;
-        const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      } else {
-        return res.status(429).json({ success: false, error: 'Rate limited: too many requests' });
-      }
-    }
-    
-    // If forcing new question or no existing question, generate new one
-    if (forceNew) {
-      // console.log('🆕 [/api/start_question] Force new question requested (Next button clicked)');
-    } else {
-      // console.log('🆕 [/api/start_question] Generating first question for room');
-    }
-    
-    // Check if someone is already generating a question (prevent race condition)
-    if (room.generatingQuestion) {
-      // console.log('⏳ [/api/start_question] Question generation already in progress, waiting...');
-      // Return existing question or wait for generation to complete
-      if (room.currentQuestion && !room.roundEnded) {
-        const questionStartTime = room.questionStartTime || now;
-        const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      } else {
-        // Wait for generation to complete
-        return res.status(409).json({ success: false, error: 'Question generation in progress, try again' });
-      }
-    }
-    
-    // Mark that we're generating a question (prevent race conditions)
-    room.generatingQuestion = true;
-    room.lastQuestionGenerated = now;
-    
-    // If forceNew is true (Restart Quiz button), reset all scores
-    if (forceNew) {
-      console.log('🔄 [/api/start_question] Resetting scores for new quiz session');
-      Object.keys(room.players || {}).forEach(playerId => {
-        if (room.players[playerId]) {
-          room.players[playerId].score = 0;
-        }
-      });
-      room.scores = {};
-      // Clear saved current scores for this room
-      StorageService.clearCurrentScores(roomId);
-      console.log('✅ [/api/start_question] Scores reset complete:', room.scores);
-    }
-    
-    // Generate new question - clear round ended state since we're starting fresh
-    const randomQuestion = getRandomQuestion();
-    const questionStartTime = Date.now();
-    
-    // Update room state with new question
-    room.currentQuestion = randomQuestion;
-    room.questionStartTime = questionStartTime;
-    room.lastActive = new Date();
-    room.gameState = 'playing';
-    room.roundEnded = false; // Reset round ended flag for new question
-    room.currentSelections = {}; // Clear previous selections
-    room.lastSelections = {}; // Clear last selections too
-    room.lastCorrectAnswer = null; // Clear last correct answer
-    room.resultShowStartTime = null; // Clear result show timer for new question
-    room.generatingQuestion = false; // Clear the lock
-    
-    // console.log('🆕 Generated new question for room:', randomQuestion.isCard ? 'Card Question' : 'Trivia Question');
-    
-    // Broadcast cleared selections to all clients to prevent old badges from persisting
-    io.to(roomId).emit('gameState', {
-      currentQuestion: randomQuestion,
-      timeLeft: MAX_TIME,
-      showResult: false,
-      gameState: 'playing',
-      questionStartTime: questionStartTime,
-      selections: {}, // Empty selections for new question
-      scores: room.scores || {},
-      playerNames: room.playerNames || {}
-    });
-    
-    // Return the question directly to the client
-    res.json({ 
-      success: true, 
-      question: randomQuestion,
-      timeLeft: MAX_TIME,
-      startTime: questionStartTime
-    });
-    
-  } catch (error) {
-    // console.error('Start question error:', error);
-    res.status(500).json({ error: 'Failed to start question' });
-  }
+engine.on('settings_updated', ({ roomId, settings }) => {
+  io.to(roomId).emit('settings_updated', { settings });
 });
 
-// Fallback start question endpoint (Discord strips /api prefix)
-app.post('/start_question', (req, res) => {
-  const { roomId, forceNew } = req.body;
-  
-  // console.log(`🎯 [/start_question] Starting question for room: ${roomId}, forceNew: ${forceNew}`);
-  
-  if (!roomId) {
-    return res.status(400).json({ success: false, error: 'Missing roomId' });
-  }
-  
-  try {
-    // Ensure room exists
-    if (!rooms[roomId]) {
-      // console.log(`🏠 Creating room for start_question request: ${roomId}`);
-      rooms[roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {},
-        playerNames: {},
-        questionHistory: []
-      };
-    }
-    
-    const room = rooms[roomId];
-    
-    // If not forcing new question and room has existing question, return it
-    if (!forceNew && room.currentQuestion && !room.roundEnded) {
-      // console.log('📋 [/start_question] Returning existing question for synchronization');
-      
-      // Calculate remaining time based on when question started
-      const now = Date.now();
-      const questionStartTime = room.questionStartTime || now;
-      const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-      const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-      
-      return res.json({ 
-        success: true, 
-        question: room.currentQuestion,
-        timeLeft: remainingTime,
-        startTime: questionStartTime,
-        showResult: room.roundEnded || remainingTime <= 0
-      });
-    }
-    
-    // SPECIAL CASE: If forcing new question but a question was just generated very recently,
-    // return the recent question to prevent race conditions from Next button clicks
-    if (forceNew && room.currentQuestion && room.questionStartTime) {
-      const now = Date.now();
-      const timeSinceGeneration = now - room.questionStartTime;
-      
-      // If question was generated less than 5 seconds ago, return it instead of generating new one
-      if (timeSinceGeneration < 5000) {
-        // console.log(`🔄 [/start_question] ForceNew request but question generated ${timeSinceGeneration}ms ago - returning recent question`);
-        // console.log('📄 Returning question details:', {
-          // isCard: room.currentQuestion.isCard,
-          // cardName: room.currentQuestion.cardName,
-          // cardUrl: room.currentQuestion.cardUrl,
-          // questionText: room.currentQuestion.question ? room.currentQuestion.question.substring(0, 50) + '...' : 'N/A'
-        // });
-        const elapsedSeconds = Math.floor(timeSinceGeneration / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: room.questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      }
-    }
-    
-    // If forcing new question or no existing question, generate new one
-    if (forceNew) {
-      // console.log('🆕 [/start_question] Force new question requested (Next button clicked)');
-    }
-    
-    // Check if someone is already generating a question (prevent race condition)
-    if (room.generatingQuestion) {
-      // console.log('⏳ [/start_question] Question generation in progress, waiting...');
-      // Return existing question or wait for generation to complete
-      if (room.currentQuestion && !room.roundEnded) {
-        const now = Date.now();
-        const questionStartTime = room.questionStartTime || now;
-        const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      } else {
-        // Wait for generation to complete
-        return res.status(409).json({ success: false, error: 'Question generation in progress, try again' });
-      }
-    }
-    
-    // Additional check: prevent rapid successive question generation
-    const now = Date.now();
-    if (room.lastQuestionGenerated && (now - room.lastQuestionGenerated) < 2000) {
-      // console.log('🚫 [/start_question] Rate limiting: Too soon after last question generation');
-      if (room.currentQuestion) {
-        const questionStartTime = room.questionStartTime || now;
-        const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-        const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-        
-        return res.json({ 
-          success: true, 
-          question: room.currentQuestion,
-          timeLeft: remainingTime,
-          startTime: questionStartTime,
-          showResult: room.roundEnded || remainingTime <= 0
-        });
-      } else {
-        return res.status(429).json({ success: false, error: 'Rate limited: too many requests' });
-      }
-    }
-    
-    // Mark that we're generating a question (prevent race conditions)
-    room.generatingQuestion = true;
-    room.lastQuestionGenerated = now;
-    
-    // Generate new question - clear round ended state since we're starting fresh
-    const randomQuestion = getRandomQuestion();
-    const questionStartTime = Date.now();
-    
-    // Update room state with new question
-    room.currentQuestion = randomQuestion;
-    room.questionStartTime = questionStartTime;
-    room.lastActive = new Date();
-    room.gameState = 'playing';
-    room.roundEnded = false; // Reset round ended flag for new question
-    room.currentSelections = {}; // Clear previous selections
-    room.lastSelections = {}; // Clear last selections too
-    room.lastCorrectAnswer = null; // Clear last correct answer
-    room.resultShowStartTime = null; // Clear result show timer for new question
-    room.generatingQuestion = false; // Clear the lock
-    
-    // console.log('🆕 [/start_question] Generated new question for room:', randomQuestion.isCard ? 'Card Question' : 'Trivia Question');
-    
-    // Broadcast cleared selections to all clients to prevent old badges from persisting
-    io.to(roomId).emit('gameState', {
-      currentQuestion: randomQuestion,
-      timeLeft: MAX_TIME,
-      showResult: false,
-      gameState: 'playing',
-      questionStartTime: questionStartTime,
-      selections: {}, // Empty selections for new question
-      scores: room.scores || {},
-      playerNames: room.playerNames || {}
-    });
-    
-    // Return the question directly to the client
-    res.json({ 
-      success: true, 
-      question: randomQuestion,
-      timeLeft: MAX_TIME,
-      startTime: questionStartTime
-    });
-    
-  } catch (error) {
-    // console.error('Start question error:', error);
-    res.status(500).json({ error: 'Failed to start question' });
-  }
+engine.on('session_started', ({ roomId, room, session }) => {
+  io.to(roomId).emit('session_started', {
+    session,
+    totalRounds: room.settings.rounds,
+    scores: room.scores
+  });
 });
 
-// Sync local question to server when transitioning from local to multiplayer
-app.post('/api/sync_local_question', (req, res) => {
-  const { roomId, question, timeLeft } = req.body;
-  
-  // console.log(`🔄 [/api/sync_local_question] Syncing local question to room: ${roomId}`);
-  
-  if (!roomId || !question) {
-    return res.status(400).json({ success: false, error: 'Missing roomId or question' });
-  }
-  
-  try {
-    // Ensure room exists
-    if (!rooms[roomId]) {
-      // console.log(`🏠 Creating room for sync_local_question request: ${roomId}`);
-      rooms[roomId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {},
-        playerNames: {},
-        questionHistory: []
-      };
-    }
-    
-    const room = rooms[roomId];
-    
-    // Only sync if the server doesn't already have a question
-    if (!room.currentQuestion) {
-      // console.log('📤 Syncing local question to server:', question.isCard ? 'Card Question' : 'Regular Question');
-      
-      // Calculate when the question started based on time left
-      const now = Date.now();
-      const elapsedTime = MAX_TIME - (timeLeft || MAX_TIME);
-      const questionStartTime = now - (elapsedTime * 1000);
-      
-      room.currentQuestion = question;
-      room.gameState = 'playing';
-      room.questionStartTime = questionStartTime;
-      room.roundEnded = false;
-      room.selections = {};
-      
-      // Clear any existing timer and start new one
-      if (room.timer) {
-        clearTimeout(room.timer);
-      }
-      
-      // Set timer to end the round when time runs out
-      if (timeLeft > 0) {
-        room.timer = setTimeout(() => {
-          console.log(`⏰ Room ${roomId} time up via sync - setting roundEnded=true for question:`, room.currentQuestion?.id);
-          room.roundEnded = true;
-          room.gameState = 'ended';
-        }, timeLeft * 1000);
-      }
-      
-      // console.log('✅ Successfully synced local question to server');
-      return res.json({ 
-        success: true, 
-        message: 'Local question synced to server',
-        question: room.currentQuestion,
-        timeLeft: timeLeft || MAX_TIME
-      });
-    } else {
-      // console.log('📋 Server already has a question, returning existing question');
-      
-      // Calculate remaining time
-      const now = Date.now();
-      const questionStartTime = room.questionStartTime || now;
-      const elapsedSeconds = Math.floor((now - questionStartTime) / 1000);
-      const remainingTime = Math.max(0, MAX_TIME - elapsedSeconds);
-      
-      return res.json({ 
-        success: true, 
-        message: 'Server already has question',
-        question: room.currentQuestion,
-        timeLeft: remainingTime,
-        hadExisting: true
-      });
-    }
-    
-  } catch (error) {
-    // console.error('Sync local question error:', error);
-    res.status(500).json({ error: 'Failed to sync local question' });
-  }
+// Final results phase: podium, per-player summary and MVPs
+engine.on('session_finished', ({ roomId, summary }) => {
+  io.to(roomId).emit('session_finished', summary);
 });
 
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: { 
-    origin: [
-      'http://127.0.0.1',
-      'http://localhost:5173',
-      'https://1414187165146943518.discordsays.com',  // Discord Activity domain
-      'https://discord-frontend-virid.vercel.app',  // Production frontend
-      'https://discordbackend-xggi.onrender.com'  // Production backend (self)
-    ],
-    methods: ["GET", "POST"],
-    credentials: true
-  }
+engine.on('hosts_updated', ({ roomId, hostId, coHostIds }) => {
+  io.to(roomId).emit('hosts_updated', { hostId, coHostIds });
 });
 
-// simple in-memory rooms object (replace with DB for production)
-// Improved room management for Discord Activities
-const rooms = {}; // channelId -> room object with game state
+engine.on('scores_reset', ({ roomId }) => {
+  // Broadcast score reset to all clients in the room
+  io.to(roomId).emit('scores_reset', {
+    scores: {},
+    timestamp: new Date().toISOString()
+  });
+});
 
 
 io.use(async (socket, next) => {
@@ -1888,6 +291,7 @@ io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token;
     const channelId = socket.handshake.auth?.channelId;
     const reconnecting = socket.handshake.auth?.reconnecting;
+    const guildId = socket.handshake.auth?.guildId;
     
     if (!token) return next(new Error("Missing token"));
     if (!channelId) return next(new Error("Missing voice channel ID"));
@@ -1895,33 +299,24 @@ io.use(async (socket, next) => {
     // Store reconnection attempt info
     socket.data.reconnecting = reconnecting;
     
-    // Validate token with Discord
-    const resp = await fetch("https://discord.com/api/users/@me", {
-      headers: { Authorization: `Bearer ${token}` },
-    });
-    
-    if (!resp.ok) return next(new Error("Invalid Discord token"));
-    const user = await resp.json();
+    // Session tokens are verified locally; a Discord token costs a (cached) call to Discord
+    const { user, claims, error, code, retryAfter } = await verifyToken(token);
+    if (!user) {
+      // connect_error carries the reason, e.g. { code: 'rate_limited', retryAfter: 2 } to back off before reconnecting
+      const err = new Error(code === "invalid_token" ? "Invalid Discord token" : error);
+      err.data = { code, retryAfter };
+      return next(err);
+    }
+    if (claims && claims.cid !== channelId) return next(new Error("Session token was issued for another channel"));
     
     // Store user and channel info in socket data
     socket.data.user = user;
     socket.data.channelId = channelId;
     
     // Initialize room if it doesn't exist
-    if (!rooms[channelId]) {
-      rooms[channelId] = {
-        players: {},
-        currentQuestion: null,
-        selections: {},
-        hostSocketId: null,
-        timer: null,
-        gameState: 'waiting',
-        startTime: new Date(),
-        lastActive: new Date(),
-        scores: {},
-        questionHistory: []
-      };
-    }
+    engine.ensureRoom(channelId);
+    // Remember the guild so channel archives roll up into guild totals (absent in DMs)
+    engine.setGuild(channelId, claims ? claims.gid : guildId);
     
     return next();
   } catch (err) {
@@ -1930,19 +325,6 @@ io.use(async (socket, next) => {
   }
 });
 
-function pickRandomQuestion(room) {
-  if (!questions || !questions.length) return null;
-  const idx = Math.floor(Math.random() * questions.length);
-  const qraw = questions[idx];
-  // Server stores correctIndex but sends it only on show_result
-  return {
-    id: `q_${Date.now()}_${idx}`,
-    question: qraw.question,
-    options: qraw.options,
-    correctIndex: qraw.options.findIndex((opt) => opt.startsWith(qraw.answer)), // used later
-  };
-}
-
 // Clean up inactive rooms periodically
 function cleanupInactiveRooms() {
   const now = new Date();
@@ -1952,20 +334,17 @@ function cleanupInactiveRooms() {
     const timeSinceLastActive = now - room.lastActive;
     if (timeSinceLastActive > ROOM_INACTIVE_THRESHOLD) {
       roomsToDelete.push(channelId);
-      // Stop any active timers
-      if (room.timer) {
-        clearTimeout(room.timer);
-      }
-      // Save scores before cleanup for archival
-      if (room.scores && Object.keys(room.scores).length > 0) {
-        StorageService.saveLeaderboard(channelId, room.scores);
+      // Save today's scores before cleanup for archival
+      const dailyScores = StorageService.getCurrentScores(channelId);
+      if (Object.keys(dailyScores).length > 0) {
+        StorageService.saveLeaderboard(channelId, dailyScores);
       }
     }
   });
   
-  // Delete rooms after iteration
+  // Delete rooms after iteration (also stops any active timers)
   roomsToDelete.forEach(channelId => {
-    delete rooms[channelId];
+    engine.deleteRoom(channelId);
     console.log(`🧹 Cleaned up inactive room ${channelId} (inactive for ${Math.round(ROOM_INACTIVE_THRESHOLD / 60000)} minutes)`);
   });
   
@@ -2007,38 +386,42 @@ async function resetLeaderboards() {
     channels: {}
   };
 
+  // Snapshot today's totals of every participant, HTTP and socket alike
+  const snapshotPlayers = (channelId, room) => {
+    const dailyScores = StorageService.getCurrentScores(channelId);
+    const ids = new Set([...room.getParticipantIds(), ...Object.keys(dailyScores)]);
+    return Array.from(ids).map(id => ({
+      id,
+      name: room.playerNames[id] || room.players[id]?.name,
+      score: dailyScores[id] || 0,
+      avatar: room.players[id]?.avatar
+    }));
+  };
+
   // Archive scores to persistent storage
   for (const [channelId, room] of Object.entries(rooms)) {
-    await StorageService.archiveLeaderboard(channelId, 
-      Object.entries(room.players).map(([id, player]) => ({
-        id,
-        name: player.name,
-        score: player.score,
-        avatar: player.avatar
-      }))
-    );
+    await StorageService.archiveLeaderboard(channelId, snapshotPlayers(channelId, room));
   }
 
+  // Channels that played today but have no live room still need their day archived
+  StorageService.getChannelsWithDailyData()
+    .filter(channelId => !rooms[channelId])
+    .forEach(channelId => {
+      StorageService.archiveLeaderboard(channelId, StorageService.getCurrentScores(channelId));
+      StorageService.clearCurrentScores(channelId);
+      StorageService.clearDailyPlayerStats(channelId);
+    });
+
   // Reset scores in all rooms
   Object.entries(rooms).forEach(([channelId, room]) => {
     // Archive current scores
     archive.channels[channelId] = {
-      players: Object.entries(room.players).map(([id, player]) => ({
-        id,
-        name: player.name,
-        score: player.score,
-        avatar: player.avatar
-      }))
+      players: snapshotPlayers(channelId, room)
     };
 
-    // Reset scores
-    Object.keys(room.players).forEach(playerId => {
-      room.players[playerId].score = 0;
-    });
-    room.scores = {};
-    
-    // Clear saved current scores for this room
+    // Start the new day's totals; a session in progress keeps its own scores
     StorageService.clearCurrentScores(channelId);
+    StorageService.clearDailyPlayerStats(channelId);
 
     // Notify room of reset
     io.to(channelId).emit('leaderboard_reset', {
@@ -2048,12 +431,7 @@ async function resetLeaderboards() {
 
     // Update room state
     io.to(channelId).emit('room_state', {
-      players: Object.values(room.players).map(p => ({
-        id: p.id,
-        name: p.name,
-        score: 0,
-        avatar: p.avatar
-      })),
+      players: room.getPlayerList(),
       scores: room.scores,
       gameState: room.gameState
     });
@@ -2074,221 +452,123 @@ async function resetLeaderboards() {
 // Start the reset schedule
 scheduleNextReset();
 
-function computeScores(room) {
-  const { selections, currentQuestion } = room;
-  if (!currentQuestion) return;
-  const correct = currentQuestion.correctIndex;
-  const endTime = Date.now();
-  const startTime = currentQuestion.startTime || endTime;
-  const elapsedSec = Math.max(0, Math.floor((endTime - startTime) / 1000));
-  const remaining = Math.max(0, (currentQuestion.maxTime || MAX_TIME) - elapsedSec);
-  const bonusFactor = Math.ceil((remaining / (currentQuestion.maxTime || MAX_TIME)) * 10);
-  for (const uid of Object.keys(room.players)) {
-    const pick = selections[uid];
-    if (pick === correct) room.players[uid].score = (room.players[uid].score || 0) + bonusFactor;
-  }
-}
-
 io.on("connection", (socket) => {
   const user = socket.data.user;
   const channelId = socket.data.channelId;
   const reconnecting = socket.data.reconnecting;
 
-  // Handle reconnection attempts
-  if (reconnecting && rooms[channelId]) {
-    const existingPlayer = rooms[channelId].players[user.id];
-    if (existingPlayer) {
-      // Update socket ID but preserve score and other data
-      existingPlayer.socketId = socket.id;
-      existingPlayer.connected = true;
-      existingPlayer.lastActive = new Date();
-
-      // Send current game state to reconnected player
-      socket.emit('game_state', {
-        currentQuestion: rooms[channelId].currentQuestion,
-        selections: rooms[channelId].selections,
-        scores: rooms[channelId].scores,
-        gameState: rooms[channelId].gameState,
-        timeLeft: rooms[channelId].currentQuestion ? 
-          Math.max(0, MAX_TIME - Math.floor((Date.now() - rooms[channelId].currentQuestion.startTime) / 1000)) : 
-          0
-      });
-    }
-  }
+  // add player (a reconnecting player keeps their score, which lives in room.scores)
+  const room = engine.joinPlayer(channelId, {
+    id: user.id,
+    name: user.username,
+    avatar: user.avatar,
+    socketId: socket.id
+  });
 
-  // ensure room exists
-  if (!rooms[channelId]) {
-    rooms[channelId] = { 
-      players: {}, 
-      selections: {}, 
-      currentQuestion: null, 
-      hostSocketId: socket.id, 
-      timer: null, 
-      scores: {},
-      gameState: 'waiting',
-      startTime: new Date(),
-      lastActive: new Date(),
-      questionHistory: []
-    };
-  }
+  socket.join(channelId);
 
-  // Update room activity timestamp
-  rooms[channelId].lastActive = new Date();
+  // Send current game state to reconnected player
+  if (reconnecting) {
+    socket.emit('game_state', engine.getState(channelId));
+  }
 
-  // add player
-  rooms[channelId].players[user.id] = { 
-    id: user.id, 
-    name: user.username, 
-    score: rooms[channelId].players[user.id]?.score ?? 0, 
-    socketId: socket.id,
-    avatar: user.avatar
+  // Measure round-trip time so answer timing can credit this player's latency
+  const measureLatency = () => {
+    const sentAt = Date.now();
+    socket.timeout(LATENCY_PING_TIMEOUT).emit('latency_ping', { serverTime: sentAt }, (err) => {
+      if (!err) LatencyService.recordRtt(user.id, Date.now() - sentAt);
+    });
   };
-  
-  rooms[channelId].scores = Object.fromEntries(
-    Object.entries(rooms[channelId].players)
-      .map(([id, p]) => [id, p.score || 0])
-  );
-
-  socket.join(channelId);
+  measureLatency();
+  const latencyInterval = setInterval(measureLatency, LATENCY_PING_INTERVAL);
 
   // notify this socket of their id and host status
   socket.emit("you_joined", { 
     playerId: user.id,
-    isHost: rooms[channelId].hostSocketId === socket.id 
+    isHost: room.isHost(user.id)
   });
 
   // broadcast room state
-  const playersList = Object.values(rooms[channelId].players).map((p) => ({ 
-    id: p.id, 
-    name: p.name, 
-    score: p.score || 0,
-    avatar: p.avatar
-  }));
-  
   io.to(channelId).emit("room_state", { 
-    players: playersList, 
-    scores: rooms[channelId].scores,
-    gameState: rooms[channelId].gameState
+    players: room.getPlayerList(), 
+    scores: room.scores,
+    gameState: room.gameState
   });
 
   // events
-  socket.on("start_question", () => {
+  socket.on("start_question", (options = {}) => {
     const room = rooms[channelId];
     if (!room) return;
     // only host may start
-    if (room.hostSocketId !== socket.id) return;
-    // don't start if already in progress
-    if (room.gameState === 'active') return;
-    
-    const q = pickRandomQuestion(room);
-    if (!q) return;
-
-    room.currentQuestion = { 
-      ...q, 
-      startTime: Date.now(), 
-      maxTime: MAX_TIME 
-    };
-    room.selections = {};
-    room.gameState = 'active';
-    room.lastActive = new Date();
-    room.roundEnded = false; // Reset round ended flag for new question
-
-    // Update analytics
-    analytics.totalGamesPlayed++;
-    analytics.dailyStats.gamesPlayed++;
-    analytics.activeChannels.add(channelId);
+    if (!room.isHost(user.id)) return;
+
+    // Host may narrow the session, e.g. { category: 'units' } or { difficulty: 'hard' }
+    if (hasQuestionFilter(options)) {
+      const { filter, error } = parseQuestionFilter(options);
+      const result = error ? { accepted: false, error } : engine.setQuestionFilter(channelId, filter);
+      if (!result.accepted) {
+        socket.emit('start_question_error', { error: result.error });
+        return;
+      }
+    }
     
-    // Track unique players
-    Object.keys(room.players).forEach(playerId => {
-      analytics.dailyStats.uniquePlayers.add(playerId);
-    });
+    // The engine refuses while a question is running and times the round itself
+    const { error } = engine.startQuestion(channelId);
+    if (error) {
+      socket.emit('start_question_error', { error, state: room.state });
+    }
+  });
 
-    // Add to question history
-    room.questionHistory.push({
-      questionId: q.id,
-      startTime: room.currentQuestion.startTime
-    });
-    
-    // broadcast start
-    io.to(channelId).emit("question_started", { 
-      question: { 
-        id: q.id, 
-        question: q.question, 
-        options: q.options 
-      }, 
-      startTime: room.currentQuestion.startTime, 
-      maxTime: room.currentQuestion.maxTime 
-    });
-    // set timer to finish
-    if (room.timer) clearTimeout(room.timer);
-    room.timer = setTimeout(() => {
-      // compute result and broadcast show_result
-      computeScores(room);
-      room.scores = Object.fromEntries(Object.entries(room.players).map(([id, p]) => [id, p.score || 0]));
-      io.to(channelId).emit("show_result", { correctIndex: room.currentQuestion.correctIndex, scores: room.scores, selections: room.selections });
-      room.currentQuestion = null;
-      room.selections = {};
-      room.timer = null;
-      // broadcast room_state scores update
-      io.to(channelId).emit("room_state", { players: Object.values(room.players), scores: room.scores });
-    }, MAX_TIME * 1000);
+  // Host leaves the results screen for a new lobby (a start_question after the podium does the same)
+  socket.on("new_session", () => {
+    const room = rooms[channelId];
+    if (!room || !room.isHost(user.id)) return;
+    engine.startSession(channelId);
   });
 
-  socket.on("select_option", ({ optionIndex }) => {
+  // Host changes the room's settings, e.g. { typeWeights: { trivia: 0, cards: 1 } } for cards only
+  socket.on("update_settings", (changes = {}) => {
     const room = rooms[channelId];
-    if (!room || !room.currentQuestion || room.gameState !== 'active') return;
-    if (room.selections[user.id] !== undefined) return; // prevent double answers
-    
-    room.selections[user.id] = optionIndex;
-    room.lastActive = new Date();
+    if (!room) return;
+    if (!room.isHost(user.id)) {
+      socket.emit('settings_error', { error: 'Only the host can change settings' });
+      return;
+    }
 
-    // Update analytics
-    analytics.totalQuestionsAnswered++;
-    analytics.dailyStats.questionsAnswered++;
-    
-    io.to(channelId).emit("player_selected", { 
-      playerId: user.id, 
+    const result = engine.updateSettings(channelId, changes);
+    if (!result.accepted) {
+      socket.emit('settings_error', { error: result.error });
+    }
+  });
+
+  socket.on("select_option", ({ optionIndex, cardAnswer } = {}) => {
+    const result = engine.submitAnswer(channelId, user.id, {
       optionIndex,
-      playerName: room.players[user.id].name
+      cardAnswer,
+      playerName: user.username
     });
-
-    // if all players have answered => resolve early
-    const connectedPlayerCount = Object.keys(room.players).length;
-    const answeredCount = Object.keys(room.selections).length;
-    if (answeredCount >= connectedPlayerCount) {
-      if (room.timer) clearTimeout(room.timer);
-      // compute immediately
-      computeScores(room);
-      room.scores = Object.fromEntries(Object.entries(room.players).map(([id, p]) => [id, p.score || 0]));
-      io.to(channelId).emit("show_result", { correctIndex: room.currentQuestion.correctIndex, scores: room.scores, selections: room.selections });
-      room.currentQuestion = null;
-      room.selections = {};
-      room.timer = null;
-      // update room state
-      io.to(channelId).emit("room_state", { players: Object.values(room.players), scores: room.scores });
+    // The engine ends the round early once every active player has answered
+    if (!result.accepted) {
+      socket.emit('answer_error', { error: result.error });
     }
   });
 
   // Handle activity_ended event to clean up room immediately
-  socket.on("activity_ended", ({ roomId: requestedRoomId }) => {
+  socket.on("activity_ended", ({ roomId: requestedRoomId } = {}) => {
     const targetRoom = requestedRoomId || channelId;
     const room = rooms[targetRoom];
     
     if (room) {
       console.log(`📴 Activity ended for room ${targetRoom} - cleaning up immediately`);
       
-      // Stop any active timers
-      if (room.timer) {
-        clearTimeout(room.timer);
-      }
-      
-      // Save scores for archival before deletion
-      if (room.scores && Object.keys(room.scores).length > 0) {
-        StorageService.saveLeaderboard(targetRoom, room.scores);
+      // Save today's scores for archival before deletion
+      const dailyScores = StorageService.getCurrentScores(targetRoom);
+      if (Object.keys(dailyScores).length > 0) {
+        StorageService.saveLeaderboard(targetRoom, dailyScores);
       }
       
       // Delete the room completely for fresh start
-      delete rooms[targetRoom];
+      engine.deleteRoom(targetRoom);
       
       // Notify all clients in the room that activity has ended
       io.to(targetRoom).emit('activity_cleanup', { message: 'Activity ended, room cleaned up' });
@@ -2297,23 +577,20 @@ io.on("connection", (socket) => {
 
   // when someone disconnects, remove from room
   socket.on("disconnect", () => {
-    const room = rooms[channelId];
-    if (!room) return;
-    
-    // Update room activity timestamp
-    room.lastActive = new Date();
+    clearInterval(latencyInterval);
     
-    delete room.players[user.id];
-    delete room.scores[user.id];
+    const room = engine.removePlayer(channelId, user.id);
+    if (!room) return;
 
     // if host left, reassign host to the next socket in the room
     if (room.hostSocketId === socket.id) {
       const sockets = Array.from(io.sockets.adapter.rooms.get(channelId) ?? []);
       room.hostSocketId = sockets.length > 0 ? sockets[0] : null;
+      const newHostSocket = room.hostSocketId ? io.sockets.sockets.get(room.hostSocketId) : null;
+      engine.setHost(channelId, newHostSocket ? newHostSocket.data.user.id : null);
       
       // If there are still players, notify new host
       if (room.hostSocketId) {
-        const newHostSocket = io.sockets.sockets.get(room.hostSocketId);
         if (newHostSocket) {
           newHostSocket.emit("you_joined", { 
             playerId: newHostSocket.data.user.id,
@@ -2323,27 +600,20 @@ io.on("connection", (socket) => {
       }
     }
 
-    // If no more players, immediately clean up the room completely
-    if (Object.keys(room.players).length === 0) {
-      if (room.timer) {
-        clearTimeout(room.timer);
-      }
-      // Save current scores before deleting room (for potential leaderboard archival)
-      if (room.scores && Object.keys(room.scores).length > 0) {
-        StorageService.saveLeaderboard(channelId, room.scores);
+    // Once nobody is left on either transport, clean up the room completely
+    if (room.getActivePlayerIds().length === 0) {
+      // Save today's scores before deleting room (for potential leaderboard archival)
+      const dailyScores = StorageService.getCurrentScores(channelId);
+      if (Object.keys(dailyScores).length > 0) {
+        StorageService.saveLeaderboard(channelId, dailyScores);
       }
       // Delete the entire room to ensure fresh start on reconnect
-      delete rooms[channelId];
+      engine.deleteRoom(channelId);
       console.log(`🧹 Room ${channelId} completely cleaned up - all players disconnected`);
     } else {
       // Otherwise broadcast updated state
       io.to(channelId).emit("room_state", { 
-        players: Object.values(room.players).map(p => ({
-          id: p.id,
-          name: p.name,
-          score: p.score || 0,
-          avatar: p.avatar
-        })), 
+        players: room.getPlayerList(), 
         scores: room.scores,
         gameState: room.gameState
       });
@@ -2351,8 +621,6 @@ io.on("connection", (socket) => {
   });
 });
 
-const path = require("path");
-
 // Serve static files only in production
 if (process.env.NODE_ENV === 'production') {
   const frontendPath = path.join(__dirname, "../client/dist");
@@ -2369,6 +637,23 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-server.listen(PORT, () => {
-  // console.log("Server listening on", PORT);
+// Restore persisted leaderboards before accepting players
+StorageService.init()
+  .then(() => {
+    server.listen(PORT, () => {
+      // console.log("Server listening on", PORT);
+    });
+  })
+  .catch(err => {
+    console.error('❌ Failed to initialise storage:', err);
+    process.exit(1);
+  });
+
+// Flush pending storage writes when Render (or Ctrl+C) stops the process
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, async () => {
+    QuestionBank.unwatch();
+    await StorageService.close();
+    process.exit(0);
+  });
 });
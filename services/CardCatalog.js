@@ -0,0 +1,54 @@
+// services/CardCatalog.js
+const fs = require('fs');
+const { QuestionBankError, formatIssues, CARD_CATEGORY } = require('../utils/questionSchema');
+const { validateCardManifest } = require('../utils/cardSchema');
+
+class CardCatalog {
+  constructor() {
+    this.cards = [];
+    this.byId = new Map(); // card id -> card
+  }
+
+  /**
+   * Read, validate and load cards.json; every image must exist in assetsDir
+   * @param {string} filePath
+   * @param {string} assetsDir
+   * @throws {QuestionBankError}
+   */
+  loadFile(filePath, assetsDir) {
+    let cards;
+    try {
+      cards = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new QuestionBankError(`Could not read ${filePath}: ${err.message}`, {
+        errors: [{ index: -1, message: err.message }],
+        warnings: []
+      });
+    }
+
+    const report = validateCardManifest(cards, assetsDir);
+    if (report.errors.length) {
+      throw new QuestionBankError(`Card manifest has ${report.errors.length} fatal error(s)`, report);
+    }
+    formatIssues(report.warnings).forEach(warning => console.warn(`⚠️ Card ${warning}`));
+
+    this.cards = cards;
+    this.byId = new Map(cards.map(card => [card.id, card]));
+    console.log(`🃏 Card manifest loaded: ${cards.length} cards`);
+    return { loaded: cards.length };
+  }
+
+  getById(id) {
+    return this.byId.get(id) || null;
+  }
+
+  // Cards a question filter can draw from; cards carry no tags, so a tag filter excludes them
+  getCards(filter) {
+    if (!filter) return this.cards;
+    if (filter.category && filter.category !== CARD_CATEGORY) return [];
+    if (filter.tags) return [];
+    return this.cards.filter(card => !filter.difficulty || card.difficulty === filter.difficulty);
+  }
+}
+
+module.exports = new CardCatalog();
@@ -0,0 +1,197 @@
+// services/DiscordClient.js
+const {
+  DiscordError,
+  DiscordAuthError,
+  DiscordRateLimitError,
+  DiscordUnavailableError
+} = require('../utils/discordErrors');
+
+const DEFAULT_API_BASE = 'https://discord.com/api';
+const USER_CACHE_TTL = 1000 * 60; // a token's user (and guild list) is reused this long
+const MAX_RETRY_WAIT = 1000 * 3; // rate limits shorter than this are waited out, longer ones are thrown
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The few Discord REST calls the server makes, with:
+ * - a per-token cache of users and guild lists (USER_CACHE_TTL)
+ * - coalescing, so concurrent lookups for one token share a single request
+ * - rate limits: Retry-After on 429s and the X-RateLimit-* bucket headers are honoured
+ * - typed errors from utils/discordErrors.js
+ * DISCORD_API_BASE points it elsewhere, e.g. at scripts/mock-discord.js.
+ * Channel lookups need the app's bot token (DISCORD_BOT_TOKEN); without one they are refused.
+ */
+class DiscordClient {
+  constructor() {
+    this.configure();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] Defaults to DISCORD_API_BASE, then discord.com
+   * @param {Function} [options.fetch] fetch implementation (defaults to global fetch)
+   * @param {string} [options.botToken] Defaults to DISCORD_BOT_TOKEN
+   */
+  configure({
+    baseUrl = process.env.DISCORD_API_BASE || DEFAULT_API_BASE,
+    fetch = global.fetch,
+    botToken = process.env.DISCORD_BOT_TOKEN
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetch;
+    this.botToken = botToken || null;
+    this.cache = new Map(); // "<kind>:<token>" -> { value, expiresAt }
+    this.inflight = new Map(); // "<kind>:<token>" -> pending lookup
+    this.buckets = new Map(); // "<route>:<token>" -> { bucket, remaining, resetAt }; bearer limits are per token
+    this.globalResetAt = 0;
+  }
+
+  /**
+   * The user a token belongs to
+   * @param {string} token Discord access token
+   * @returns {Promise<Object>} Discord user object
+   * @throws {DiscordError}
+   */
+  getUser(token) {
+    return this.cached('user', token, () => this.request('GET', '/users/@me', { token }));
+  }
+
+  /**
+   * The token user's guilds, with their permissions (needs the `guilds` scope)
+   * @param {string} token
+   * @returns {Promise<Object[]>}
+   * @throws {DiscordError}
+   */
+  getUserGuilds(token) {
+    return this.cached('guilds', token, () => this.request('GET', '/users/@me/guilds', { token }));
+  }
+
+  /**
+   * A channel as the bot sees it; guild_id is where the channel really lives
+   * @param {string} channelId
+   * @returns {Promise<Object>} Discord channel object
+   * @throws {DiscordError} DiscordAuthError when no bot token is configured
+   */
+  getChannel(channelId) {
+    if (!this.botToken) return Promise.reject(new DiscordAuthError('No bot token configured'));
+    return this.cached('channel', channelId, () =>
+      this.request('GET', `/channels/${encodeURIComponent(channelId)}`, { token: this.botToken, scheme: 'Bot' })
+    );
+  }
+
+  /**
+   * OAuth2 authorization code exchange; never cached
+   * @returns {Promise<Object>} Discord's token response (access_token etc), errors included as Discord sent them
+   */
+  exchangeCode({ clientId, clientSecret, code }) {
+    const body = new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      grant_type: 'authorization_code',
+      code
+    });
+    return this.request('POST', '/oauth2/token', { body, passErrors: true });
+  }
+
+  // Forget a token, e.g. after Discord rejected it
+  forget(token) {
+    ['user', 'guilds'].forEach(kind => this.cache.delete(`${kind}:${token}`));
+  }
+
+  async cached(kind, token, load) {
+    if (!token) throw new DiscordAuthError('Missing Discord token');
+    const key = `${kind}:${token}`;
+    const hit = this.cache.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+    // Concurrent lookups wait for the same request
+    if (this.inflight.has(key)) return this.inflight.get(key);
+    const pending = load()
+      .then(value => {
+        this.pruneCache();
+        this.cache.set(key, { value, expiresAt: Date.now() + USER_CACHE_TTL });
+        return value;
+      })
+      .finally(() => this.inflight.delete(key));
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  pruneCache() {
+    const now = Date.now();
+    this.cache.forEach((entry, key) => { if (entry.expiresAt <= now) this.cache.delete(key); });
+  }
+
+  // Milliseconds until a route may be called again with this token, 0 when it can go now
+  getWait(limitKey) {
+    const now = Date.now();
+    const state = this.buckets.get(limitKey);
+    const bucketWait = state && state.remaining <= 0 ? state.resetAt - now : 0;
+    return Math.max(0, this.globalResetAt - now, bucketWait);
+  }
+
+  recordBucket(limitKey, headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const resetAfter = headers.get('x-ratelimit-reset-after');
+    if (remaining === null || resetAfter === null) return;
+    const now = Date.now();
+    this.buckets.forEach((state, key) => { if (state.resetAt <= now) this.buckets.delete(key); });
+    this.buckets.set(limitKey, {
+      bucket: headers.get('x-ratelimit-bucket'),
+      remaining: Number(remaining),
+      resetAt: Date.now() + Number(resetAfter) * 1000
+    });
+  }
+
+  async request(method, route, { token, scheme = 'Bearer', body, passErrors = false } = {}, attempt = 0) {
+    const limitKey = `${route}:${token || ''}`;
+    const wait = this.getWait(limitKey);
+    if (wait > MAX_RETRY_WAIT) {
+      const state = this.buckets.get(limitKey);
+      throw new DiscordRateLimitError(wait / 1000, { global: this.globalResetAt > Date.now(), bucket: state && state.bucket });
+    }
+    if (wait > 0) await sleep(wait);
+
+    let resp;
+    try {
+      resp = await this.fetch(`${this.baseUrl}${route}`, {
+        method,
+        headers: {
+          ...(token ? { Authorization: `${scheme} ${token}` } : {}),
+          ...(body ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+        },
+        body
+      });
+    } catch (err) {
+      throw new DiscordUnavailableError(`Could not reach Discord: ${err.message}`);
+    }
+    this.recordBucket(limitKey, resp.headers);
+
+    if (resp.status === 429) {
+      const data = await resp.json().catch(() => ({}));
+      const retryAfter = Number(resp.headers.get('retry-after') || data.retry_after || 1);
+      const global = resp.headers.get('x-ratelimit-global') === 'true' || data.global === true;
+      if (global) this.globalResetAt = Date.now() + retryAfter * 1000;
+      else this.buckets.set(limitKey, { bucket: resp.headers.get('x-ratelimit-bucket'), remaining: 0, resetAt: Date.now() + retryAfter * 1000 });
+
+      // One retry for short limits, so a burst of sign-ins is slowed down rather than refused
+      if (attempt === 0 && retryAfter * 1000 <= MAX_RETRY_WAIT) {
+        return this.request(method, route, { token, scheme, body, passErrors }, attempt + 1);
+      }
+      throw new DiscordRateLimitError(retryAfter, { global, bucket: resp.headers.get('x-ratelimit-bucket') });
+    }
+
+    if (resp.status >= 500) throw new DiscordUnavailableError(`Discord answered ${resp.status}`, resp.status);
+    const data = await resp.json().catch(() => null);
+    if (resp.ok || passErrors) return data;
+    if (resp.status === 401 || resp.status === 403) {
+      if (token && scheme === 'Bearer') this.forget(token);
+      throw new DiscordAuthError(undefined, resp.status);
+    }
+    throw new DiscordError(`Discord answered ${resp.status}`, resp.status);
+  }
+}
+
+module.exports = new DiscordClient();
@@ -0,0 +1,827 @@
+// services/GameEngine.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const StorageService = require('./StorageService');
+const LatencyService = require('./LatencyService');
+const { isCardAnswerCorrect, MAX_ANSWER_LENGTH } = require('../utils/answerMatching');
+const { toPublicQuestion } = require('../utils/questionView');
+const { DEFAULT_ROOM_SETTINGS, createRoomSettings, applySettingsUpdate } = require('../utils/roomSettings');
+const { recordSessionRound, buildSessionSummary } = require('../utils/sessionSummary');
+const { LEGACY_GAME_STATES, canTransition, describeIllegalTransition } = require('../utils/roomState');
+
+// Default seconds per question; rooms can change it with the timer setting
+const MAX_TIME = DEFAULT_ROOM_SETTINGS.timer;
+
+const GRACE_PERIOD_MAX = 1000 * 10; // 10 seconds max grace period for expired questions
+const ROUND_END_GRACE = 1000 * 1.5; // answers sent as the timer hits 0 still arrive before scoring
+const HTTP_PLAYER_TIMEOUT = 1000 * 60; // HTTP players count as present this long after their last request
+const REVEAL_TIME = 1000 * 5; // results stay up this long before the intermission (or the podium)
+
+/**
+ * Points for a correct answer: maxPoints * (timeLeft / timer) ^ scoringExponent
+ * @param {number} timeTaken Server-measured seconds between question start and answer
+ * @param {Object} [settings] The room's timer, maxPoints and scoringExponent
+ * @returns {number}
+ */
+function calculatePointsFromTime(timeTaken, { timer, maxPoints, scoringExponent } = DEFAULT_ROOM_SETTINGS) {
+  // timeTaken is measured by the server, so 0 is a legitimate (instant) answer
+  if (typeof timeTaken !== 'number' || !Number.isFinite(timeTaken) || timeTaken < 0) {
+    return 0;
+  }
+
+  const timeLeft = Math.max(0, timer - timeTaken);
+  const x = Math.max(0, Math.min(1, timeLeft / timer));
+  return Math.round(maxPoints * Math.pow(x, scoringExponent));
+}
+
+/**
+ * Work out how long a player took to answer from the server's own clock.
+ * The player's measured one-way latency is credited back (bounded by LatencyService).
+ * @param {Room} room The room holding questionStartTime
+ * @param {string} playerId The answering player
+ * @param {number} receivedAt Server timestamp (ms) when the answer arrived
+ * @returns {{ timeTaken: number|null, late: boolean }} timeTaken in seconds
+ */
+function getServerTimeTaken(room, playerId, receivedAt) {
+  if (!room.questionStartTime) {
+    return { timeTaken: null, late: false };
+  }
+
+  const { timer } = room.getRoundSettings();
+  const elapsedMs = receivedAt - room.questionStartTime;
+  if (elapsedMs > timer * 1000 + GRACE_PERIOD_MAX) {
+    return { timeTaken: null, late: true };
+  }
+
+  const adjustedMs = Math.max(0, elapsedMs - LatencyService.getAllowance(playerId));
+  return { timeTaken: Math.min(timer, adjustedMs / 1000), late: false };
+}
+
+// One showing of a question; the question's own id stays the same across rounds
+function createRoundId() {
+  return `round_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// A game session: lobby, then settings.rounds questions, then finished with a podium
+function createSession() {
+  return { id: crypto.randomUUID(), startedAt: null };
+}
+
+// Index of the correct option ("B" -> 1); typed card questions have none
+function getCorrectIndex(question) {
+  if (!question) return -1;
+  if (typeof question.correctIndex === 'number') return question.correctIndex;
+  if (question.isCard) return -1;
+  return (question.options || []).findIndex(opt => opt.startsWith(question.answer));
+}
+
+// Options the player picks from: card names or civilizations as text, or images
+function getOptionCount(question) {
+  return (question.imageOptions || question.options || []).length;
+}
+
+// Answer shown at the reveal: the trivia letter, the card's civilization or the card's name
+function getCorrectAnswer(question) {
+  if (!question.isCard) return question.answer;
+  return question.cardMode === 'civilization' ? question.civilization : question.cardName;
+}
+
+// What clients see for a player's pick: the option index, or 'correct'/'incorrect' for typed card names
+function toClientSelection(selection) {
+  if (selection.optionIndex !== undefined) return selection.optionIndex;
+  return selection.isCorrect ? 'correct' : 'incorrect';
+}
+
+/**
+ * State of one channel's game, shared by the HTTP and Socket.IO transports
+ */
+class Room {
+  constructor(id) {
+    this.id = id;
+    this.guildId = null;
+    this.guildChecked = false; // whether Discord was asked for the channel's guild
+    this.questionFilter = null; // { category?, difficulty?, tags? } applied to every draw
+    this.settings = createRoomSettings(); // host-controlled game settings
+    this.roundSettings = null; // settings the current question runs with; changes apply from the next one
+    this.roundNumber = 0; // questions started in the current session
+    this.session = createSession();
+    this.sessionStats = {}; // playerId -> answer counters and streaks of this session
+    this.lastSessionSummary = null; // final results while the session is finished
+    this.players = {}; // playerId -> connected socket player
+    this.httpPlayers = {}; // playerId -> time (ms) of their last HTTP request; they have no connection to watch
+    this.playerNames = {}; // playerId -> display name, for every transport
+    this.scores = {}; // playerId -> score in the current session (today's totals live in StorageService)
+    this.hostSocketId = null;
+    this.hostId = null; // user id of the host, whichever transport they play on
+    this.coHostIds = []; // users the host lets run the game with them
+    this.state = 'lobby'; // see utils/roomState.js; only GameEngine.transition changes it
+    this.stateChangedAt = Date.now();
+    this.timer = null; // the room's only timer: ends the question or the reveal
+    this.currentQuestion = null;
+    this.questionStartTime = null;
+    this.selections = {}; // playerId -> { optionIndex | cardAnswer, isCorrect, timeTaken, timestamp }
+    this.lastSelections = {}; // client-format selections of the last scored round
+    this.lastRoundResult = null;
+    this.questionHistory = [];
+    this.startTime = new Date();
+    this.lastActive = new Date();
+  }
+
+  touch() {
+    this.lastActive = new Date();
+  }
+
+  // Whether the current question has been scored (reveal and after)
+  get roundEnded() {
+    return this.state === 'reveal' || this.state === 'intermission' || this.state === 'finished';
+  }
+
+  // State in the old 'waiting'/'playing'/'ended' terms, for clients that still read gameState
+  get gameState() {
+    return LEGACY_GAME_STATES[this.state];
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  setTimer(delayMs, callback) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      callback();
+    }, delayMs);
+  }
+
+  getRoundSettings() {
+    return this.roundSettings || this.settings;
+  }
+
+  // Bookkeeping for every new question, however it was started
+  beginRound() {
+    // Lock the settings in, so a mid-round change can't move this question's timer or scoring
+    this.roundSettings = { ...this.settings };
+    this.roundNumber++;
+    if (!this.session.startedAt) this.session.startedAt = new Date().toISOString();
+  }
+
+  getTimeLeft(now = Date.now()) {
+    const { timer } = this.getRoundSettings();
+    if (!this.questionStartTime) return timer;
+    const elapsedSeconds = Math.floor((now - this.questionStartTime) / 1000);
+    return Math.max(0, timer - elapsedSeconds);
+  }
+
+  getPlayerList() {
+    return Object.values(this.players).map(p => ({
+      id: p.id,
+      name: p.name,
+      score: this.scores[p.id] || 0,
+      avatar: p.avatar
+    }));
+  }
+
+  // Everyone who has taken part in this room, whichever transport they use
+  getParticipantIds() {
+    return Array.from(new Set([...Object.keys(this.players), ...Object.keys(this.playerNames)]));
+  }
+
+  // Players still here: connected sockets, and HTTP players seen within HTTP_PLAYER_TIMEOUT
+  getActivePlayerIds(now = Date.now()) {
+    const recent = Object.keys(this.httpPlayers).filter(id => now - this.httpPlayers[id] < HTTP_PLAYER_TIMEOUT);
+    return Array.from(new Set([...Object.keys(this.players), ...recent]));
+  }
+
+  // Host or co-host; guild moderators are checked by the transports, which hold the token
+  isHost(userId) {
+    return !!userId && (userId === this.hostId || this.coHostIds.includes(userId));
+  }
+}
+
+/**
+ * Single game implementation for both transports.
+ * Transports call the methods below and listen for events to broadcast:
+ * - state_changed    { roomId, room, from, to, reason }
+ * - question_started { roomId, room, question }
+ * - answer_submitted { roomId, room, playerId, selection, isChange }
+ * - round_complete   { roomId, room, question, result }
+ * - scores_reset     { roomId, room }
+ * - session_started  { roomId, room, session }
+ * - session_finished { roomId, room, summary }
+ * - hosts_updated    { roomId, room, hostId, coHostIds }
+ */
+class GameEngine extends EventEmitter {
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.drawQuestion (room) => question, honouring room.questionFilter and room.settings
+   * @param {Function} [deps.hasQuestions] (filter, settings) => whether drawQuestion can satisfy both
+   * @param {Function} [deps.lookupChannelGuild] async (channelId) => the channel's guild id per Discord, or null
+   */
+  constructor({ drawQuestion, hasQuestions = () => true, lookupChannelGuild = null }) {
+    super();
+    this.rooms = {}; // channelId -> Room
+    this.drawQuestion = drawQuestion;
+    this.hasQuestions = hasQuestions;
+    this.lookupChannelGuild = lookupChannelGuild;
+  }
+
+  getRoom(roomId) {
+    return this.rooms[roomId] || null;
+  }
+
+  ensureRoom(roomId) {
+    if (!this.rooms[roomId]) {
+      const room = new Room(roomId);
+      room.settings = createRoomSettings(StorageService.getRoomSettings(roomId));
+      this.rooms[roomId] = room;
+    }
+    return this.rooms[roomId];
+  }
+
+  // A room's settings without creating it: the live room's, else the saved ones
+  getRoomSettings(roomId) {
+    const room = this.getRoom(roomId);
+    return room ? room.settings : createRoomSettings(StorageService.getRoomSettings(roomId));
+  }
+
+  /**
+   * Restrict the questions drawn for a room, e.g. "units only" or "hard mode"
+   * @param {string} roomId
+   * @param {Object|null} filter Parsed with parseQuestionFilter; null draws from everything
+   * @returns {{ accepted: boolean, error?: string }}
+   */
+  setQuestionFilter(roomId, filter) {
+    const room = this.ensureRoom(roomId);
+    if (filter && !this.hasQuestions(filter, room.settings)) {
+      return { accepted: false, error: 'No questions match that filter' };
+    }
+    room.questionFilter = filter;
+    return { accepted: true };
+  }
+
+  /**
+   * Change a room's settings; they are saved so a recreated room keeps them
+   * @param {string} roomId
+   * @param {Object} changes Partial settings, see utils/roomSettings.js
+   * @returns {{ accepted: boolean, error?: string, settings?: Object }}
+   */
+  updateSettings(roomId, changes) {
+    const room = this.ensureRoom(roomId);
+    const { settings, error } = applySettingsUpdate(room.settings, changes);
+    if (error) return { accepted: false, error };
+    if (!this.hasQuestions(room.questionFilter, settings)) {
+      return { accepted: false, error: 'No questions match these settings and the current filter' };
+    }
+
+    room.settings = settings;
+    StorageService.saveRoomSettings(roomId, settings);
+    this.emit('settings_updated', { roomId, room, settings });
+    return { accepted: true, settings };
+  }
+
+  /**
+   * Make a user the room's host unless it already has one
+   * @param {string} roomId
+   * @param {string} userId
+   * @returns {Room}
+   */
+  claimHost(roomId, userId) {
+    const room = this.ensureRoom(roomId);
+    if (!room.hostId && userId) {
+      room.hostId = userId;
+      this.emit('hosts_updated', { roomId, room, hostId: room.hostId, coHostIds: room.coHostIds });
+    }
+    return room;
+  }
+
+  /**
+   * Pass the host role on; the old host keeps nothing unless they are a co-host
+   * @param {string} roomId
+   * @param {string|null} userId
+   */
+  setHost(roomId, userId) {
+    const room = this.ensureRoom(roomId);
+    if (room.hostId === userId) return room;
+    room.hostId = userId || null;
+    room.coHostIds = room.coHostIds.filter(id => id !== userId);
+    this.emit('hosts_updated', { roomId, room, hostId: room.hostId, coHostIds: room.coHostIds });
+    return room;
+  }
+
+  /**
+   * Add or remove a co-host
+   * @param {string} roomId
+   * @param {string} userId
+   * @param {boolean} enabled
+   * @returns {{ accepted: boolean, error?: string, coHostIds?: string[] }}
+   */
+  setCoHost(roomId, userId, enabled) {
+    const room = this.ensureRoom(roomId);
+    if (!userId || typeof userId !== 'string') return { accepted: false, error: 'Missing userId' };
+    if (userId === room.hostId) return { accepted: false, error: 'That user is already the host' };
+
+    const others = room.coHostIds.filter(id => id !== userId);
+    room.coHostIds = enabled ? [...others, userId] : others;
+    this.emit('hosts_updated', { roomId, room, hostId: room.hostId, coHostIds: room.coHostIds });
+    return { accepted: true, coHostIds: room.coHostIds };
+  }
+
+  // Clients report the guild, so a report only fills in an unknown channel. With lookupChannelGuild,
+  // Discord's answer replaces it. Moderator checks always ask Discord themselves.
+  setGuild(roomId, guildId) {
+    const room = this.ensureRoom(roomId);
+    StorageService.setChannelGuild(roomId, guildId);
+    room.guildId = StorageService.getChannelGuild(roomId);
+    this.verifyGuild(room);
+  }
+
+  // Ask Discord once per room which guild the channel is in
+  verifyGuild(room) {
+    if (!this.lookupChannelGuild || room.guildChecked || StorageService.isChannelGuildVerified(room.id)) return;
+    room.guildChecked = true;
+    Promise.resolve()
+      .then(() => this.lookupChannelGuild(room.id))
+      .then(guildId => {
+        StorageService.setChannelGuild(room.id, guildId, { verified: true });
+        room.guildId = StorageService.getChannelGuild(room.id);
+      })
+      .catch(error => console.warn(`⚠️ Could not look up the guild of channel ${room.id}: ${error.message}`));
+  }
+
+  deleteRoom(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+    room.clearTimer();
+    delete this.rooms[roomId];
+  }
+
+  joinPlayer(roomId, { id, name, avatar, socketId }) {
+    const room = this.ensureRoom(roomId);
+    room.players[id] = {
+      id,
+      name,
+      avatar,
+      socketId,
+      connected: true,
+      lastActive: new Date()
+    };
+    room.playerNames[id] = name;
+    StorageService.savePlayerProfile(id, { name, avatar });
+    if (room.scores[id] === undefined) room.scores[id] = 0;
+    if (!room.hostSocketId && (!room.hostId || room.hostId === id)) {
+      room.hostSocketId = socketId;
+      room.hostId = id;
+    }
+    room.touch();
+    return room;
+  }
+
+  // An HTTP player made a request; keeps them counted for the early end of a round
+  touchHttpPlayer(roomId, playerId) {
+    const room = this.ensureRoom(roomId);
+    if (playerId) room.httpPlayers[playerId] = Date.now();
+    return room;
+  }
+
+  // Polling keeps HTTP players who already joined present, without creating rooms or players
+  refreshHttpPlayer(roomId, playerId) {
+    const room = this.getRoom(roomId);
+    if (room && room.httpPlayers[playerId] !== undefined) room.httpPlayers[playerId] = Date.now();
+  }
+
+  // Scores are kept so a player who reconnects continues where they left off
+  removePlayer(roomId, playerId) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+    delete room.players[playerId];
+    room.touch();
+    return room;
+  }
+
+  /**
+   * Move a room to another state. Every change goes through here: it is checked
+   * against utils/roomState.js, stops the room's timer and is emitted as state_changed.
+   * @param {Room} room
+   * @param {string} to
+   * @param {string} reason Short cause for listeners, e.g. 'timer' or 'all_answered'
+   * @returns {{ accepted: boolean, error?: string }}
+   */
+  transition(room, to, reason) {
+    const from = room.state;
+    if (!canTransition(from, to)) {
+      return { accepted: false, error: describeIllegalTransition(from, to) };
+    }
+    room.clearTimer();
+    room.state = to;
+    room.stateChangedAt = Date.now();
+    this.emit('state_changed', { roomId: room.id, room, from, to, reason });
+    return { accepted: true };
+  }
+
+  // Why a room can't take a new question right now, or null when it can
+  getStartError(room) {
+    if (room.state === 'reveal' && room.roundNumber >= room.getRoundSettings().rounds) {
+      return 'That was the last round of the session; the results follow the reveal';
+    }
+    return canTransition(room.state, 'question') ? null : describeIllegalTransition(room.state, 'question');
+  }
+
+  // Put a question in play; the room's timer scores it shortly after time runs out, whoever is connected
+  openQuestion(room, question, startTime, reason) {
+    this.transition(room, 'question', reason);
+    room.currentQuestion = question;
+    room.beginRound();
+    room.questionStartTime = startTime;
+    room.selections = {};
+    room.lastSelections = {};
+    room.lastRoundResult = null;
+    room.questionHistory.push({ questionId: question.id, roundId: question.roundId, startTime });
+    room.touch();
+
+    const endsIn = Math.max(0, startTime + room.getRoundSettings().timer * 1000 - Date.now());
+    room.setTimer(endsIn + ROUND_END_GRACE, () => this.endRound(room.id, 'timer'));
+  }
+
+  /**
+   * Start the next question of the session. A finished session (or newSession)
+   * opens a new one first. Rooms with a question already running are refused.
+   * @param {string} roomId
+   * @param {Object} [options]
+   * @param {boolean} [options.newSession] Start a fresh session first (quiz restart)
+   * @returns {{ room: Room, created: boolean, error?: string }}
+   */
+  startQuestion(roomId, { newSession = false } = {}) {
+    const room = this.ensureRoom(roomId);
+
+    if (newSession || room.state === 'finished') {
+      this.startSession(roomId);
+    }
+    const error = this.getStartError(room);
+    if (error) return { room, created: false, error };
+    // A filter accepted earlier can stop matching after the bank is edited or reloaded
+    if (!this.hasQuestions(room.questionFilter, room.settings)) {
+      return { room, created: false, error: 'No questions match the room filter and settings any more; change the filter' };
+    }
+
+    const question = { ...this.drawQuestion(room), roundId: createRoundId() };
+    this.openQuestion(room, question, Date.now(), newSession ? 'restart' : 'next');
+
+    this.emit('question_started', { roomId, room, question });
+    if (question.deckReshuffled) {
+      this.emit('deck_reshuffled', { roomId, room, pool: question.deckReshuffled });
+    }
+    return { room, created: true };
+  }
+
+  /**
+   * Take over a question a client was already showing locally (single player turning multiplayer)
+   * @param {string} roomId
+   * @param {Object} question Server-side question
+   * @param {number} timeLeft Seconds the client had left
+   * @returns {{ room: Room, created: boolean }} created is false when the room already has a session going
+   */
+  syncQuestion(roomId, question, timeLeft) {
+    const room = this.ensureRoom(roomId);
+    if (room.state === 'finished') this.startSession(roomId);
+    if (room.state !== 'lobby') return { room, created: false };
+
+    // Back-date the start so the server's clock agrees with the time the client has left
+    const { timer } = room.settings;
+    const elapsed = timer - Math.min(timer, timeLeft > 0 ? timeLeft : timer);
+    const synced = { ...question, roundId: createRoundId() };
+    this.openQuestion(room, synced, Date.now() - elapsed * 1000, 'sync');
+    // Socket players in the channel get the synced question like any other
+    this.emit('question_started', { roomId, room, question: synced });
+    return { room, created: true };
+  }
+
+  /**
+   * Record (or change) a player's answer. Correctness and timing are decided here.
+   * @param {string} roomId
+   * @param {string} playerId
+   * @param {Object} answer { optionIndex } for trivia and card options, { cardAnswer } for typed card names
+   * @param {number} [receivedAt] Server timestamp (ms) when the answer arrived
+   * @returns {{ accepted: boolean, error?: string, isChange?: boolean, allAnswered?: boolean }}
+   *   allAnswered: every active player has answered, so the round was ended right away
+   */
+  submitAnswer(roomId, playerId, { optionIndex, cardAnswer, playerName } = {}, receivedAt = Date.now()) {
+    const room = this.getRoom(roomId);
+    if (!room) return { accepted: false, error: 'Room not found' };
+    if (!playerId) return { accepted: false, error: 'Missing playerId' };
+
+    if (playerName) {
+      room.playerNames[playerId] = playerName;
+      StorageService.savePlayerProfile(playerId, { name: playerName });
+    }
+    room.touch();
+
+    const question = room.currentQuestion;
+    if (!question || (room.state !== 'question' && room.state !== 'reveal')) {
+      return { accepted: false, error: 'No active question' };
+    }
+
+    if (cardAnswer !== undefined && String(cardAnswer).length > MAX_ANSWER_LENGTH) {
+      return { accepted: false, error: `Answers are limited to ${MAX_ANSWER_LENGTH} characters` };
+    }
+    // A typed question has no correct index, so no pick can be graded against it
+    if (cardAnswer === undefined) {
+      if (getCorrectIndex(question) === -1) {
+        return { accepted: false, error: 'This question takes a typed answer' };
+      }
+      if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= getOptionCount(question)) {
+        return { accepted: false, error: 'optionIndex must be one of the question\'s options' };
+      }
+    }
+
+    const timing = getServerTimeTaken(room, playerId, receivedAt);
+    if (timing.late) return { accepted: false, error: 'Answer received after the question closed' };
+
+    const selection = {
+      timeTaken: timing.timeTaken,
+      timestamp: receivedAt
+    };
+
+    if (cardAnswer !== undefined) {
+      selection.cardAnswer = String(cardAnswer);
+      // Only the typed variant accepts text; the others are graded by option
+      selection.isCorrect = !!question.isCard && (question.cardMode || 'name') === 'name' &&
+        isCardAnswerCorrect(selection.cardAnswer, question.cardName, question.aliases);
+    } else {
+      selection.optionIndex = optionIndex;
+      selection.isCorrect = optionIndex === getCorrectIndex(question);
+    }
+
+    // During the reveal, late picks inside the grace period are shown but not scored
+    if (room.roundEnded) {
+      room.lastSelections[playerId] = toClientSelection(selection);
+      return { accepted: true, isChange: false, allAnswered: false };
+    }
+
+    const previous = room.selections[playerId];
+    if (previous && !room.getRoundSettings().allowAnswerChanges) {
+      return { accepted: false, error: 'Answer changes are not allowed in this room' };
+    }
+    const isChange = !!previous && (
+      (selection.optionIndex !== undefined && previous.optionIndex !== selection.optionIndex) ||
+      (selection.cardAnswer !== undefined && previous.cardAnswer !== selection.cardAnswer)
+    );
+    room.selections[playerId] = selection;
+
+    this.emit('answer_submitted', { roomId, room, playerId, selection, isChange });
+
+    // Resolve early once everyone still here has answered, whichever transport they use
+    const allAnswered = room.getActivePlayerIds().every(id => room.selections[id] !== undefined);
+    if (allAnswered) this.endRound(roomId, 'all_answered');
+    return { accepted: true, isChange, allAnswered };
+  }
+
+  /**
+   * Score the current round and move to the reveal. Once the round is scored,
+   * calling it again returns the stored result.
+   * @param {string} roomId
+   * @param {string} [reason] Why the round ends, passed on to state_changed
+   * @returns {{ accepted: boolean, result?: Object, error?: string }} result is the round_complete payload
+   */
+  endRound(roomId, reason = 'end_round') {
+    const room = this.getRoom(roomId);
+    if (!room) return { accepted: false, error: 'Room not found' };
+    if (room.roundEnded && room.lastRoundResult) return { accepted: true, result: room.lastRoundResult };
+
+    const { accepted, error } = this.transition(room, 'reveal', reason);
+    if (!accepted) return { accepted: false, error };
+
+    const question = room.currentQuestion;
+    const clientSelections = {};
+    const points = {};
+
+    Object.entries(room.selections).forEach(([playerId, selection]) => {
+      if (room.scores[playerId] === undefined) room.scores[playerId] = 0;
+      selection.points = selection.isCorrect ? calculatePointsFromTime(selection.timeTaken, room.getRoundSettings()) : 0;
+      room.scores[playerId] += selection.points;
+      points[playerId] = selection.points;
+      clientSelections[playerId] = toClientSelection(selection);
+    });
+
+    if (question) {
+      // Today's totals add up every session in the channel
+      StorageService.addCurrentScores(roomId, points);
+      recordSessionRound(room.sessionStats, room.getParticipantIds(), room.selections);
+      StorageService.recordRoundResults(roomId, room.session.id, Object.entries(room.selections).map(([playerId, selection]) => ({
+        playerId,
+        isCorrect: selection.isCorrect,
+        timeTaken: selection.timeTaken
+      })));
+      // Lifetime counters behind the player stats profile
+      StorageService.recordAnswers(Object.entries(room.selections).map(([playerId, selection]) => ({
+        playerId,
+        questionId: question.id,
+        questionType: question.isCard ? 'card' : 'trivia',
+        category: question.category || (question.isCard ? 'cards' : 'general'),
+        isCorrect: selection.isCorrect,
+        timeTaken: selection.timeTaken,
+        points: selection.points,
+        answeredAt: new Date(selection.timestamp).toISOString()
+      })));
+      StorageService.recordQuestionRound(question.id, Object.values(room.selections));
+    }
+
+    const totalRounds = room.getRoundSettings().rounds;
+    const gameOver = room.roundNumber >= totalRounds; // the host's round count is reached
+
+    const correctIndex = getCorrectIndex(question);
+    const result = {
+      questionId: question ? question.id : undefined, // revealed now that the round is over
+      roundId: question ? question.roundId : undefined,
+      selections: clientSelections,
+      scores: room.scores,
+      playerNames: room.playerNames,
+      correctAnswer: question ? getCorrectAnswer(question) : undefined,
+      correctIndex: correctIndex >= 0 ? correctIndex : undefined,
+      cardName: question && question.isCard ? question.cardName : undefined,
+      roundNumber: room.roundNumber,
+      totalRounds,
+      gameOver, // the podium follows this reveal
+      sessionId: room.session.id
+    };
+
+    const scoredSelections = room.selections;
+    room.lastSelections = clientSelections;
+    room.lastRoundResult = result;
+    room.selections = {};
+    room.touch();
+
+    this.emit('round_complete', { roomId, room, question, result, selections: scoredSelections });
+
+    // The reveal is timed too; after the last round it leads to the podium
+    room.setTimer(REVEAL_TIME, () => {
+      if (gameOver) {
+        this.finishSession(roomId);
+      } else {
+        this.transition(room, 'intermission', 'timer');
+      }
+    });
+    return { accepted: true, result };
+  }
+
+  /**
+   * Close the current session: rank it, archive it and keep the summary for the results screen
+   * @param {string} roomId
+   * @returns {Object|null} Summary from utils/sessionSummary.js
+   */
+  finishSession(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+    if (!this.transition(room, 'finished', 'last_round').accepted) return null;
+
+    const summary = buildSessionSummary({
+      id: room.session.id,
+      channelId: roomId,
+      guildId: room.guildId,
+      startedAt: room.session.startedAt,
+      rounds: room.roundNumber,
+      scores: room.scores,
+      stats: room.sessionStats,
+      playerNames: room.playerNames
+    });
+    room.lastSessionSummary = summary;
+    // Sessions nobody answered in are not worth a history entry
+    if (summary.players.some(player => player.answered > 0)) {
+      StorageService.archiveSession(summary);
+    }
+    console.log(`🏁 Room ${roomId} finished session ${summary.id} after ${summary.rounds} rounds`);
+    this.emit('session_finished', { roomId, room, summary });
+    return summary;
+  }
+
+  /**
+   * Open a new session in the lobby with a fresh id; the previous one is dropped if unfinished
+   * @param {string} roomId
+   * @returns {Room}
+   */
+  startSession(roomId) {
+    const room = this.ensureRoom(roomId);
+    this.transition(room, 'lobby', 'new_session'); // allowed from every state
+    room.session = createSession();
+    room.sessionStats = {};
+    room.lastSessionSummary = null;
+    room.roundNumber = 0;
+    room.scores = {};
+    Object.keys(room.players).forEach(playerId => {
+      room.scores[playerId] = 0;
+    });
+    room.currentQuestion = null;
+    room.questionStartTime = null;
+    room.roundSettings = null;
+    room.selections = {};
+    room.lastSelections = {};
+    room.lastRoundResult = null;
+    room.touch();
+    this.emit('session_started', { roomId, room, session: room.session });
+    return room;
+  }
+
+  // Wipe the session's scores and today's totals for the channel
+  resetScores(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) return null;
+    room.scores = {};
+    Object.keys(room.players).forEach(playerId => {
+      room.scores[playerId] = 0;
+    });
+    StorageService.clearCurrentScores(roomId);
+    this.emit('scores_reset', { roomId, room });
+    return room;
+  }
+
+  // Question as sent in start_question responses
+  getQuestionPayload(room) {
+    const startTime = room.questionStartTime || Date.now();
+    const timeLeft = room.getTimeLeft();
+    return {
+      question: toPublicQuestion(room.currentQuestion),
+      timeLeft,
+      maxTime: room.getRoundSettings().timer,
+      roundNumber: room.roundNumber,
+      totalRounds: room.getRoundSettings().rounds,
+      session: room.session,
+      startTime,
+      state: room.state,
+      showResult: room.roundEnded,
+      // Set when this question opened a fresh deck because the room had used every question
+      deckReshuffled: room.currentQuestion ? room.currentQuestion.deckReshuffled || null : null
+    };
+  }
+
+  // Full snapshot for game-state polling and socket reconnects
+  getState(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room || !room.currentQuestion) {
+      const settings = this.getRoomSettings(roomId);
+      return {
+        currentQuestion: null,
+        timeLeft: settings.timer,
+        showResult: false,
+        state: room ? room.state : 'lobby',
+        stateChangedAt: room ? room.stateChangedAt : null,
+        gameState: room ? room.gameState : 'waiting',
+        roundEnded: room ? room.roundEnded : false,
+        questionStartTime: null,
+        selections: {},
+        roundResult: null,
+        scores: room ? room.scores : {},
+        playerNames: room ? room.playerNames : {},
+        hostId: room ? room.hostId : null,
+        coHostIds: room ? room.coHostIds : [],
+        roundNumber: room ? room.roundNumber : 0,
+        totalRounds: settings.rounds,
+        session: room ? room.session : null,
+        settings
+      };
+    }
+
+    const timeLeft = room.getTimeLeft();
+    const selections = room.roundEnded ? room.lastSelections : {};
+    if (!room.roundEnded) {
+      // Card verdicts stay hidden until the reveal
+      Object.entries(room.selections).forEach(([playerId, selection]) => {
+        selections[playerId] = selection.optionIndex !== undefined ? selection.optionIndex : 'answered';
+      });
+    }
+
+    return {
+      currentQuestion: toPublicQuestion(room.currentQuestion),
+      timeLeft,
+      // Only reveal after the round has been scored, never just because time ran out
+      showResult: room.roundEnded,
+      state: room.state,
+      stateChangedAt: room.stateChangedAt,
+      gameState: room.gameState,
+      roundEnded: room.roundEnded,
+      questionStartTime: room.questionStartTime,
+      selections,
+      // The round_complete payload, so polling clients get the answer without calling end_round
+      roundResult: room.roundEnded ? room.lastRoundResult : null,
+      scores: room.scores,
+      playerNames: room.playerNames,
+      hostId: room.hostId,
+      coHostIds: room.coHostIds,
+      roundNumber: room.roundNumber,
+      totalRounds: room.getRoundSettings().rounds,
+      maxTime: room.getRoundSettings().timer,
+      session: room.session,
+      sessionSummary: room.lastSessionSummary,
+      settings: room.settings
+    };
+  }
+}
+
+module.exports = {
+  GameEngine,
+  Room,
+  calculatePointsFromTime,
+  MAX_TIME,
+  GRACE_PERIOD_MAX
+};
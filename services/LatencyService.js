@@ -0,0 +1,63 @@
+// services/LatencyService.js
+const crypto = require('crypto');
+
+const PING_TIMEOUT = 1000 * 10; // pings not answered within 10s are dropped
+const RTT_SMOOTHING = 0.3; // weight of the newest sample in the moving average
+const DEFAULT_LATENCY_ALLOWANCE = 100; // ms granted to players that never completed a ping
+const MAX_LATENCY_ALLOWANCE = 1000; // ms, caps what a slow (or lying) client can claim
+
+class LatencyService {
+  constructor() {
+    this.rtts = new Map(); // playerId -> smoothed round-trip time in ms
+    this.pendingPings = new Map(); // pingId -> { playerId, sentAt }
+  }
+
+  startPing(playerId) {
+    this.purgeStalePings();
+    const pingId = crypto.randomBytes(8).toString('hex');
+    const sentAt = Date.now();
+    this.pendingPings.set(pingId, { playerId, sentAt });
+    return { pingId, serverTime: sentAt };
+  }
+
+  // Only the player a ping was sent to can complete it
+  completePing(pingId, playerId, receivedAt = Date.now()) {
+    const pending = this.pendingPings.get(pingId);
+    if (!pending || pending.playerId !== playerId) return null;
+    this.pendingPings.delete(pingId);
+    return this.recordRtt(pending.playerId, receivedAt - pending.sentAt);
+  }
+
+  recordRtt(playerId, rtt) {
+    if (!playerId || !Number.isFinite(rtt) || rtt < 0) return null;
+    const previous = this.rtts.get(playerId);
+    const smoothed = previous === undefined
+      ? rtt
+      : previous * (1 - RTT_SMOOTHING) + rtt * RTT_SMOOTHING;
+    this.rtts.set(playerId, smoothed);
+    return smoothed;
+  }
+
+  getRtt(playerId) {
+    return this.rtts.get(playerId);
+  }
+
+  // One-way latency we credit back to the player when timing their answer
+  getAllowance(playerId) {
+    const rtt = this.rtts.get(playerId);
+    if (rtt === undefined) return DEFAULT_LATENCY_ALLOWANCE;
+    return Math.min(MAX_LATENCY_ALLOWANCE, Math.round(rtt / 2));
+  }
+
+  forgetPlayer(playerId) {
+    this.rtts.delete(playerId);
+  }
+
+  purgeStalePings(now = Date.now()) {
+    for (const [pingId, pending] of this.pendingPings) {
+      if (now - pending.sentAt > PING_TIMEOUT) this.pendingPings.delete(pingId);
+    }
+  }
+}
+
+module.exports = new LatencyService();
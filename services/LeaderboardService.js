@@ -0,0 +1,246 @@
+// services/LeaderboardService.js
+const StorageService = require('./StorageService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rolling windows for aggregate totals, in days including today (null = no limit)
+const PERIODS = {
+  weekly: 7,
+  monthly: 30,
+  'all-time': null
+};
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+function avatarUrl(playerId, avatar) {
+  if (!avatar) return null;
+  return `https://cdn.discordapp.com/avatars/${playerId}/${avatar}.png`;
+}
+
+/**
+ * Archives come in two shapes: { playerId: score } from saveLeaderboard and
+ * [{ id, name, score, avatar }] from archiveLeaderboard. Flatten both to entries.
+ */
+function normalizeScores(scores) {
+  if (Array.isArray(scores)) {
+    return scores
+      .filter(entry => entry && entry.id)
+      .map(entry => ({ id: entry.id, score: entry.score || 0, name: entry.name, avatar: entry.avatar }));
+  }
+  return Object.entries(scores || {}).map(([id, score]) => ({ id, score: score || 0 }));
+}
+
+/**
+ * Sort by score and assign competition ranks (ties share a rank: 1, 1, 3)
+ * @param {Array} entries Normalized score entries
+ * @param {Object} [liveNames] playerId -> name from a live room, preferred over stored profiles
+ */
+function rankEntries(entries, liveNames = {}) {
+  const sorted = entries
+    .map(entry => {
+      const profile = StorageService.getPlayerProfile(entry.id) || {};
+      const avatar = entry.avatar || profile.avatar || null;
+      return {
+        ...entry,
+        name: liveNames[entry.id] || entry.name || profile.name || 'Unknown player',
+        avatar,
+        avatarUrl: avatarUrl(entry.id, avatar)
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+  let previousScore = null;
+  let previousRank = 0;
+  return sorted.map((entry, index) => {
+    const rank = entry.score === previousScore ? previousRank : index + 1;
+    previousScore = entry.score;
+    previousRank = rank;
+    return { rank, ...entry };
+  });
+}
+
+function formatLeaderboard(channelId, date, scores, extra = {}, liveNames) {
+  const entries = rankEntries(normalizeScores(scores), liveNames);
+  return {
+    channelId,
+    date,
+    champion: entries[0] || null,
+    entries,
+    ...extra
+  };
+}
+
+/**
+ * One day of one channel: an archive, or today's data the daily reset has not archived yet
+ * @returns {Array<{ channelId, guildId, date, scores, stats }>}
+ */
+function collectChannelDays() {
+  const date = today();
+  const pending = new Set(StorageService.getChannelsWithDailyData());
+
+  const days = StorageService.getAllArchives()
+    // Today's archive is only a snapshot when the room closed; the pending data is newer
+    .filter(archive => !(archive.date === date && pending.has(archive.channelId)))
+    .map(archive => ({
+      channelId: archive.channelId,
+      guildId: archive.guildId || StorageService.getChannelGuild(archive.channelId),
+      date: archive.date,
+      scores: archive.scores,
+      stats: archive.stats || {}
+    }));
+
+  pending.forEach(channelId => {
+    days.push({
+      channelId,
+      guildId: StorageService.getChannelGuild(channelId),
+      date,
+      scores: StorageService.getCurrentScores(channelId),
+      stats: StorageService.getDailyPlayerStats(channelId)
+    });
+  });
+
+  return days;
+}
+
+/**
+ * Sum channel days into per-player totals
+ * @param {Array} channelDays Output of collectChannelDays, already filtered
+ */
+function aggregateDays(channelDays) {
+  const players = new Map();
+  const getPlayer = (id) => {
+    if (!players.has(id)) {
+      players.set(id, {
+        id,
+        name: undefined,
+        avatar: undefined,
+        score: 0,
+        dailyScores: {},
+        gamesPlayed: 0,
+        questionsAnswered: 0,
+        correct: 0,
+        timedAnswers: 0,
+        totalAnswerTime: 0
+      });
+    }
+    return players.get(id);
+  };
+
+  channelDays.forEach(day => {
+    normalizeScores(day.scores).forEach(entry => {
+      const player = getPlayer(entry.id);
+      player.score += entry.score;
+      player.dailyScores[day.date] = (player.dailyScores[day.date] || 0) + entry.score;
+      player.name = player.name || entry.name;
+      player.avatar = player.avatar || entry.avatar;
+    });
+
+    Object.entries(day.stats).forEach(([id, stats]) => {
+      const player = getPlayer(id);
+      player.dailyScores[day.date] = player.dailyScores[day.date] || 0;
+      player.gamesPlayed += stats.gamesPlayed || 0;
+      player.questionsAnswered += stats.questionsAnswered || 0;
+      player.correct += stats.correct || 0;
+      player.timedAnswers += stats.timedAnswers || 0;
+      player.totalAnswerTime += stats.totalAnswerTime || 0;
+    });
+  });
+
+  return Array.from(players.values()).map(({ dailyScores, timedAnswers, totalAnswerTime, ...player }) => {
+    const scores = Object.values(dailyScores);
+    return {
+      ...player,
+      daysPlayed: scores.length,
+      bestDailyScore: scores.length ? Math.max(...scores) : 0,
+      accuracy: player.questionsAnswered ? Math.round((player.correct / player.questionsAnswered) * 1000) / 1000 : null,
+      averageAnswerTime: timedAnswers ? Math.round((totalAnswerTime / timedAnswers) * 100) / 100 : null
+    };
+  });
+}
+
+class LeaderboardService {
+  getPeriods() {
+    return Object.keys(PERIODS);
+  }
+
+  isValidPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(PERIODS, period);
+  }
+
+  isValidDate(date) {
+    return DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`));
+  }
+
+  /**
+   * Today's standings across every session in the channel
+   * @param {string} channelId
+   * @param {Room|null} room Live room from the game engine, for current player names
+   */
+  getCurrent(channelId, room) {
+    const date = today();
+    if (room) {
+      return formatLeaderboard(channelId, date, StorageService.getCurrentScores(channelId), { live: true }, room.playerNames);
+    }
+
+    const saved = StorageService.getCurrentScores(channelId);
+    if (Object.keys(saved).length > 0) {
+      return formatLeaderboard(channelId, date, saved, { live: false });
+    }
+
+    const archive = StorageService.getLeaderboard(channelId, date);
+    return formatLeaderboard(channelId, date, archive ? archive.scores : {}, { live: false });
+  }
+
+  getForDate(channelId, date) {
+    const archive = StorageService.getLeaderboard(channelId, date);
+    if (!archive) return null;
+    return formatLeaderboard(channelId, archive.date, archive.scores, {
+      archivedAt: archive.archivedAt || archive.timestamp
+    });
+  }
+
+  /**
+   * Rolling totals per player across the archived days of a channel or a guild
+   * @param {{ channelId?: string, guildId?: string }} scope Exactly one of the two
+   * @param {string} period One of PERIODS
+   */
+  getTotals({ channelId, guildId }, period) {
+    const days = PERIODS[period];
+    const since = days ? daysAgo(days - 1) : null;
+
+    const channelDays = collectChannelDays().filter(day =>
+      (channelId ? day.channelId === channelId : day.guildId === guildId) &&
+      (!since || day.date >= since)
+    );
+
+    const entries = rankEntries(aggregateDays(channelDays));
+    return {
+      ...(channelId ? { channelId } : { guildId }),
+      period,
+      from: since || channelDays.reduce((earliest, day) => (!earliest || day.date < earliest ? day.date : earliest), null),
+      to: today(),
+      channels: Array.from(new Set(channelDays.map(day => day.channelId))),
+      champion: entries[0] || null,
+      entries
+    };
+  }
+
+  // Newest first, one ranked leaderboard per archived day
+  getHistory(channelId, days) {
+    return StorageService.getLeaderboardHistory(channelId, days).map(archive =>
+      formatLeaderboard(channelId, archive.date, archive.scores, {
+        archivedAt: archive.archivedAt || archive.timestamp
+      })
+    );
+  }
+}
+
+module.exports = new LeaderboardService();
@@ -0,0 +1,83 @@
+// services/PlayerStatsService.js
+const StorageService = require('./StorageService');
+
+// Categories with fewer answers than this only count when nothing else qualifies
+const MIN_CATEGORY_ANSWERS = 5;
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function accuracy(correct, answered) {
+  return answered ? round(correct / answered, 3) : null;
+}
+
+function summarize({ answered, correct } = { answered: 0, correct: 0 }) {
+  return {
+    answered,
+    correct,
+    incorrect: answered - correct,
+    accuracy: accuracy(correct, answered)
+  };
+}
+
+function getCategories(byCategory) {
+  const categories = Object.entries(byCategory).map(([name, counter]) => ({
+    name,
+    ...summarize(counter)
+  }));
+
+  const qualified = categories.filter(category => category.answered >= MIN_CATEGORY_ANSWERS);
+  const ranked = (qualified.length ? qualified : categories)
+    .slice()
+    .sort((a, b) => b.accuracy - a.accuracy || b.answered - a.answered);
+
+  return {
+    categories,
+    favourite: ranked[0] || null,
+    // Only name a weakest category when it differs from the favourite
+    weakest: ranked.length > 1 ? ranked[ranked.length - 1] : null
+  };
+}
+
+class PlayerStatsService {
+  /**
+   * Lifetime profile built from the player's answer counters
+   * @param {string} playerId
+   * @returns {Object|null} null when the player has never been seen
+   */
+  getStats(playerId) {
+    const stats = StorageService.getAnswerStats(playerId);
+    const profile = StorageService.getPlayerProfile(playerId);
+    if (!stats && !profile) return null;
+
+    const counters = stats || { answered: 0, correct: 0, points: 0, timedAnswers: 0, byType: {}, byCategory: {} };
+    const { categories, favourite, weakest } = getCategories(counters.byCategory);
+
+    return {
+      playerId,
+      name: profile ? profile.name : null,
+      avatar: profile ? profile.avatar : null,
+      ...summarize(counters),
+      totalPoints: counters.points,
+      byType: {
+        trivia: summarize(counters.byType.trivia),
+        card: summarize(counters.byType.card)
+      },
+      averageAnswerTime: counters.timedAnswers
+        ? round(counters.totalAnswerTime / counters.timedAnswers, 2)
+        : null,
+      fastestCorrectAnswer: counters.fastestCorrect || null,
+      // current is the streak leading up to the latest answer
+      streaks: counters.streak || { current: 0, longest: 0 },
+      categories,
+      favouriteCategory: favourite ? favourite.name : null,
+      weakestCategory: weakest ? weakest.name : null,
+      firstAnswerAt: counters.firstAnswerAt || null,
+      lastAnswerAt: counters.lastAnswerAt || null
+    };
+  }
+}
+
+module.exports = new PlayerStatsService();
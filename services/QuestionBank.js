@@ -0,0 +1,186 @@
+// services/QuestionBank.js
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+  QuestionBankError,
+  validateQuestionBank,
+  resolveAnswerIndex,
+  createQuestionId,
+  formatIssues,
+  CARD_CATEGORY
+} = require('../utils/questionSchema');
+
+const WATCH_INTERVAL = 1000 * 2; // ms between checks of questions.json for outside edits
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+class QuestionBank {
+  constructor() {
+    this.questions = []; // valid trivia entries, each with its index in the source file
+    this.byId = new Map(); // question id -> entry
+    this.version = 0; // bumped on every successful load; drawn questions record it
+    this.updatedAt = null;
+    this.filePath = null;
+    this.fileHash = null; // hash of the file content last loaded or written, to skip our own writes
+    this.watching = false;
+  }
+
+  /**
+   * Replace the bank with the entries of a question file.
+   * The current bank is kept when the new entries have fatal errors.
+   * Questions already drawn into rooms are copies, so they are not affected.
+   * @param {Array} entries Parsed questions.json
+   * @returns {{ loaded: number, version: number, warnings: Array }}
+   * @throws {QuestionBankError}
+   */
+  load(entries) {
+    const report = validateQuestionBank(entries);
+    if (report.errors.length) {
+      throw new QuestionBankError(`Question bank has ${report.errors.length} fatal error(s)`, report);
+    }
+    formatIssues(report.warnings).forEach(warning => console.warn(`⚠️ Question ${warning}`));
+
+    // The answer letter is resolved once here; the engine scores against correctIndex.
+    // Entries without an id get one from their content, and keep it from the next save on.
+    this.questions = entries.map((entry, index) => ({
+      id: entry.id || createQuestionId(entry),
+      ...entry,
+      bankIndex: index,
+      correctIndex: resolveAnswerIndex(entry)
+    }));
+    this.byId = new Map(this.questions.map(question => [question.id, question]));
+    this.version++;
+    this.updatedAt = new Date().toISOString();
+    console.log(`📚 Question bank v${this.version} loaded: ${this.questions.length} questions (${report.warnings.length} warnings)`);
+    return { loaded: this.questions.length, version: this.version, warnings: report.warnings };
+  }
+
+  /**
+   * Read, parse and load a question file; later saves and reloads use the same file
+   * @param {string} filePath
+   * @throws {QuestionBankError}
+   */
+  loadFile(filePath) {
+    let content;
+    let entries;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+      entries = JSON.parse(content);
+    } catch (err) {
+      throw new QuestionBankError(`Could not read ${filePath}: ${err.message}`, {
+        errors: [{ index: -1, message: err.message }],
+        warnings: []
+      });
+    }
+    const result = this.load(entries);
+    this.filePath = filePath;
+    this.fileHash = hashContent(content);
+    return result;
+  }
+
+  // Entries as stored in the file (ids included), without the fields added at load
+  getEntries() {
+    return this.questions.map(({ bankIndex, correctIndex, ...entry }) => entry);
+  }
+
+  getById(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Validate entries, write them to the question file and load them
+   * @param {Array} entries The complete new bank
+   * @returns {Promise<{ loaded: number, version: number, warnings: Array }>}
+   * @throws {QuestionBankError} When validation fails; nothing is written
+   */
+  async save(entries) {
+    const report = validateQuestionBank(entries);
+    if (report.errors.length) {
+      throw new QuestionBankError(`Question bank has ${report.errors.length} fatal error(s)`, report);
+    }
+
+    // Same layout as the hand-edited file, written to a temp file and renamed into place
+    const content = JSON.stringify(entries, null, 4);
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    this.fileHash = hashContent(content); // set first so the watcher ignores our own write
+    await fs.promises.writeFile(temp, content);
+    await fs.promises.rename(temp, this.filePath);
+
+    return this.load(entries);
+  }
+
+  // Pick up edits made to the question file outside the admin API
+  watch() {
+    if (this.watching || !this.filePath) return;
+    this.watching = true;
+    // watchFile polls, which survives editors and deploys that replace the file
+    fs.watchFile(this.filePath, { interval: WATCH_INTERVAL }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      this.reloadFromDisk();
+    });
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  reloadFromDisk() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      console.error(`❌ Could not read ${this.filePath}:`, err.message);
+      return;
+    }
+    if (hashContent(content) === this.fileHash) return;
+
+    try {
+      this.loadFile(this.filePath);
+    } catch (err) {
+      // Keep serving the current version until the file is fixed
+      console.error(`❌ Not reloading ${this.filePath}: ${err.message}`);
+      formatIssues(err.report ? err.report.errors : []).forEach(error => console.error(`   ${error}`));
+    }
+  }
+
+  matches(question, filter) {
+    if (!filter) return true;
+    if (filter.category && question.category !== filter.category) return false;
+    if (filter.difficulty && question.difficulty !== filter.difficulty) return false;
+    if (filter.tags && !filter.tags.every(tag => (question.tags || []).includes(tag))) return false;
+    return true;
+  }
+
+  // Trivia entries a filter can draw from
+  getTrivia(filter) {
+    return this.questions.filter(question => this.matches(question, filter));
+  }
+
+  /**
+   * Whether a filter leaves anything to draw
+   * @param {Object|null} filter
+   * @param {number} cardCount Number of cards the same filter allows (CardCatalog.getCards)
+   * @param {Object} [typeWeights] Room weights; a type weighted 0 is never drawn
+   */
+  hasMatches(filter, cardCount, typeWeights = { trivia: 1, cards: 1 }) {
+    return (typeWeights.trivia > 0 && this.getTrivia(filter).length > 0) ||
+      (typeWeights.cards > 0 && cardCount > 0);
+  }
+
+  // Question counts per category, for hosts picking a session theme
+  getCategories(cardCount) {
+    const counts = {};
+    this.questions.forEach(question => {
+      const category = question.category || 'uncategorized';
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    if (cardCount > 0) counts[CARD_CATEGORY] = cardCount;
+    return counts;
+  }
+}
+
+module.exports = new QuestionBank();
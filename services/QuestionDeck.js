@@ -0,0 +1,54 @@
+// services/QuestionDeck.js
+const StorageService = require('./StorageService');
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * No-repeat draws per room and per day. Each room remembers which question ids it
+ * has used today, per pool ('trivia', 'cards'); a pool is reshuffled once every id
+ * it can currently draw from has come up. Decks live in StorageService, so they
+ * survive room recreation and restarts until the day changes.
+ */
+class QuestionDeck {
+  getDeck(roomId) {
+    const saved = StorageService.getQuestionDeck(roomId);
+    if (saved && saved.date === today()) return saved;
+    return { date: today(), used: {}, reshuffles: {}, lastId: null };
+  }
+
+  /**
+   * Pick an id this room has not seen today
+   * @param {string} roomId
+   * @param {string} pool 'trivia' or 'cards'
+   * @param {string[]} ids Everything the room may draw from right now (after filters)
+   * @returns {{ id: string, reshuffled: boolean, remaining: number }}
+   */
+  draw(roomId, pool, ids) {
+    const deck = this.getDeck(roomId);
+    const used = new Set(deck.used[pool] || []);
+    let candidates = ids.filter(id => !used.has(id));
+    let reshuffled = false;
+
+    if (candidates.length === 0) {
+      // Only forget the ids of this (possibly filtered) pool, the rest stay used
+      const reshuffledIds = new Set(ids);
+      deck.used[pool] = (deck.used[pool] || []).filter(id => !reshuffledIds.has(id));
+      deck.reshuffles[pool] = (deck.reshuffles[pool] || 0) + 1;
+      // Don't open the new deck with the question that just closed the old one
+      candidates = ids.length > 1 ? ids.filter(id => id !== deck.lastId) : ids;
+      reshuffled = true;
+      console.log(`🔀 Room ${roomId} used every ${pool} question today, reshuffling ${ids.length}`);
+    }
+
+    const id = candidates[Math.floor(Math.random() * candidates.length)];
+    deck.used[pool] = [...(deck.used[pool] || []), id];
+    deck.lastId = id;
+    StorageService.saveQuestionDeck(roomId, deck);
+
+    return { id, reshuffled, remaining: candidates.length - 1 };
+  }
+}
+
+module.exports = new QuestionDeck();
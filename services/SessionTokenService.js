@@ -0,0 +1,160 @@
+// services/SessionTokenService.js
+const crypto = require('crypto');
+const StorageService = require('./StorageService');
+
+const TOKEN_TTL = 1000 * 60 * 15; // a session token is good for 15 minutes
+const REFRESH_WINDOW = 1000 * 60 * 60; // and can be swapped for a new one up to an hour after it expires
+const MAX_SESSION_AGE = 1000 * 60 * 60 * 12; // then the user has to sign in with Discord again
+const TOKEN_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/; // header.payload.signature, unlike Discord's opaque tokens
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+// Thrown for tokens that can't be used; code is 'invalid', 'expired' or 'revoked'
+class SessionTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Short-lived server session tokens (HS256 JWTs) issued after the Discord OAuth exchange,
+ * so sockets and HTTP calls are authenticated without a round trip to Discord.
+ * Each token is bound to one user and one voice channel.
+ */
+class SessionTokenService {
+  constructor() {
+    this.secret = null;
+  }
+
+  /**
+   * @param {string} [secret] SESSION_TOKEN_SECRET; without one, tokens only last until a restart
+   */
+  configure(secret) {
+    if (secret) {
+      this.secret = secret;
+      return;
+    }
+    this.secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ SESSION_TOKEN_SECRET is not set; session tokens will not survive a restart');
+  }
+
+  isSessionToken(token) {
+    return typeof token === 'string' && TOKEN_PATTERN.test(token);
+  }
+
+  sign(payload) {
+    const body = `${HEADER}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  /**
+   * Issue a token for a Discord user in a channel
+   * @param {Object} claims
+   * @param {Object} claims.user Discord user ({ id, username, global_name, avatar } are kept)
+   * @param {string} claims.channelId
+   * @param {string|null} [claims.guildId]
+   * @param {boolean} [claims.moderator] Whether the user moderates channelId's guild, checked at sign-in
+   * @param {number} [claims.authTime] When the user signed in with Discord (ms); refreshes keep it
+   * @returns {{ token: string, expiresAt: number }}
+   */
+  issue({ user, channelId, guildId = null, moderator = false, authTime = Date.now() }) {
+    if (!this.secret) this.configure();
+    const now = Date.now();
+    const payload = {
+      sub: user.id,
+      cid: channelId,
+      gid: guildId,
+      mod: !!moderator,
+      user: { id: user.id, username: user.username, global_name: user.global_name, avatar: user.avatar },
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + TOKEN_TTL,
+      auth_time: authTime
+    };
+    return { token: this.sign(payload), expiresAt: payload.exp };
+  }
+
+  /**
+   * Check a token's signature, expiry and revocation
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {boolean} [options.allowExpired] Accept tokens still inside the refresh window
+   * @returns {Object} The token's claims
+   * @throws {SessionTokenError}
+   */
+  verify(token, { allowExpired = false } = {}) {
+    if (!this.secret) this.configure();
+    if (!this.isSessionToken(token)) throw new SessionTokenError('Malformed session token', 'invalid');
+
+    const [header, body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', this.secret).update(`${header}.${body}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (header !== HEADER || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new SessionTokenError('Invalid session token', 'invalid');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (err) {
+      throw new SessionTokenError('Malformed session token', 'invalid');
+    }
+
+    const now = Date.now();
+    if (now >= payload.exp + (allowExpired ? REFRESH_WINDOW : 0)) {
+      throw new SessionTokenError('Session token expired', 'expired');
+    }
+    const userRevocation = StorageService.getRevocation(`user:${payload.sub}`);
+    if (StorageService.getRevocation(payload.jti) || (userRevocation && payload.auth_time <= userRevocation.revokedAt)) {
+      throw new SessionTokenError('Session token revoked', 'revoked');
+    }
+    return payload;
+  }
+
+  /**
+   * Swap a token (expired up to REFRESH_WINDOW ago) for a new one; the old one is revoked
+   * @param {string} token
+   * @returns {{ token: string, expiresAt: number }}
+   * @throws {SessionTokenError}
+   */
+  refresh(token) {
+    const payload = this.verify(token, { allowExpired: true });
+    if (Date.now() - payload.auth_time >= MAX_SESSION_AGE) {
+      throw new SessionTokenError('Session is too old to refresh; sign in with Discord again', 'expired');
+    }
+    this.revokePayload(payload);
+    return this.issue({
+      user: payload.user,
+      channelId: payload.cid,
+      guildId: payload.gid,
+      moderator: payload.mod,
+      authTime: payload.auth_time
+    });
+  }
+
+  /**
+   * Revoke a token, or with allSessions every token its user signed in for until now
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {boolean} [options.allSessions]
+   * @throws {SessionTokenError}
+   */
+  revoke(token, { allSessions = false } = {}) {
+    const payload = this.verify(token, { allowExpired: true });
+    if (allSessions) {
+      const now = Date.now();
+      StorageService.saveRevocation(`user:${payload.sub}`, { revokedAt: now, expiresAt: now + MAX_SESSION_AGE + TOKEN_TTL });
+    } else {
+      this.revokePayload(payload);
+    }
+    StorageService.pruneRevocations();
+  }
+
+  revokePayload(payload) {
+    StorageService.saveRevocation(payload.jti, { revokedAt: Date.now(), expiresAt: payload.exp + REFRESH_WINDOW });
+  }
+}
+
+module.exports = new SessionTokenService();
@@ -1,10 +1,88 @@
 // services/StorageService.js
 const fs = require('fs').promises;
 const path = require('path');
+const { createDriver, MemoryDriver } = require('./storage');
+
+// Collections written through to the storage driver
+const COLLECTIONS = {
+  ARCHIVES: 'archives',
+  CURRENT_SCORES: 'currentScores',
+  PLAYERS: 'players',
+  DAILY_PLAYER_STATS: 'dailyPlayerStats',
+  CHANNELS: 'channels',
+  ANSWER_STATS: 'answerStats',
+  ANSWERS: 'answers', // per-answer history of older versions, folded into ANSWER_STATS on boot
+  QUESTION_STATS: 'questionStats',
+  QUESTION_DECKS: 'questionDecks',
+  ROOM_SETTINGS: 'roomSettings',
+  SESSIONS: 'sessions',
+  REVOCATIONS: 'revocations',
+  META: 'meta'
+};
+
+function createAnswerCounter() {
+  return { answered: 0, correct: 0 };
+}
+
+/**
+ * Fold one scored answer into a player's lifetime counters
+ * @param {Object|undefined} stats Counters so far
+ * @param {Object} record See GameEngine.endRound
+ * @returns {Object} The updated counters
+ */
+function addAnswerToStats(stats, record) {
+  const next = stats || {
+    ...createAnswerCounter(),
+    points: 0,
+    timedAnswers: 0,
+    totalAnswerTime: 0,
+    fastestCorrect: null,
+    streak: { current: 0, longest: 0 },
+    byType: {},
+    byCategory: {},
+    firstAnswerAt: null,
+    lastAnswerAt: null
+  };
+  const type = record.questionType === 'card' ? 'card' : 'trivia';
+  const category = record.category || 'general';
+  const buckets = [
+    next,
+    next.byType[type] || (next.byType[type] = createAnswerCounter()),
+    next.byCategory[category] || (next.byCategory[category] = createAnswerCounter())
+  ];
+  buckets.forEach(bucket => {
+    bucket.answered++;
+    if (record.isCorrect) bucket.correct++;
+  });
+
+  next.points += record.points || 0;
+  if (typeof record.timeTaken === 'number') {
+    next.timedAnswers++;
+    next.totalAnswerTime += record.timeTaken;
+    if (record.isCorrect && (!next.fastestCorrect || record.timeTaken < next.fastestCorrect.timeTaken)) {
+      next.fastestCorrect = { timeTaken: record.timeTaken, questionId: record.questionId, answeredAt: record.answeredAt };
+    }
+  }
+  next.streak.current = record.isCorrect ? next.streak.current + 1 : 0;
+  next.streak.longest = Math.max(next.streak.longest, next.streak.current);
+  if (!next.firstAnswerAt) next.firstAnswerAt = record.answeredAt;
+  next.lastAnswerAt = record.answeredAt;
+  return next;
+}
+
+function dateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function yesterdayKey() {
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  return dateKey(yesterday);
+}
 
 class StorageService {
   constructor() {
-    // In-memory storage
+    // In-memory cache; the driver makes it survive restarts
     this.dailyStats = {
       date: new Date().toISOString().split('T')[0],
       gamesPlayed: 0,
@@ -15,40 +93,384 @@ class StorageService {
 
     this.archives = new Map(); // channelId -> archived scores
     this.currentScores = new Map(); // channelId -> current day scores
+    this.players = new Map(); // playerId -> { name, avatar, updatedAt } for leaderboard display
+    this.dailyPlayerStats = new Map(); // channelId -> playerId -> today's answer counters
+    this.channels = new Map(); // channelId -> { guildId, verified }; verified means Discord confirmed the guild
+    this.answerStats = new Map(); // playerId -> lifetime answer counters, see addAnswerToStats
+    this.questionStats = new Map(); // permanent question id -> lifetime counters
+    this.questionDecks = new Map(); // channelId -> question ids used today, per pool
+    this.roomSettings = new Map(); // channelId -> settings chosen by the host
+    this.sessions = new Map(); // session id -> final results of a finished game session
+    this.revocations = new Map(); // token id or "user:<id>" -> revoked server session tokens
+
+    // Memory until init() picks the configured driver
+    this.driver = new MemoryDriver();
+  }
+
+  /**
+   * Select the driver (STORAGE_DRIVER env var by default) and restore saved data
+   * @param {Object} [driver] A driver instance, mainly for tests
+   */
+  async init(driver = createDriver()) {
+    this.driver = driver;
+    const data = await this.driver.load();
+
+    this.archives = new Map(Object.entries(data[COLLECTIONS.ARCHIVES] || {}));
+    this.players = new Map(Object.entries(data[COLLECTIONS.PLAYERS] || {}));
+    this.channels = new Map(Object.entries(data[COLLECTIONS.CHANNELS] || {}));
+    this.answerStats = new Map(Object.entries(data[COLLECTIONS.ANSWER_STATS] || {}));
+    this.questionStats = new Map(Object.entries(data[COLLECTIONS.QUESTION_STATS] || {}));
+    this.questionDecks = new Map(Object.entries(data[COLLECTIONS.QUESTION_DECKS] || {}));
+    this.roomSettings = new Map(Object.entries(data[COLLECTIONS.ROOM_SETTINGS] || {}));
+    this.sessions = new Map(Object.entries(data[COLLECTIONS.SESSIONS] || {}));
+    this.revocations = new Map(Object.entries(data[COLLECTIONS.REVOCATIONS] || {}));
+
+    const savedStats = (data[COLLECTIONS.META] || {}).dailyStats;
+    if (savedStats && savedStats.date === this.dailyStats.date) {
+      this.dailyStats = {
+        ...savedStats,
+        uniquePlayers: new Set(savedStats.uniquePlayers),
+        activeChannels: new Set(savedStats.activeChannels)
+      };
+    }
+    this.restoreDailyData(data, savedStats ? savedStats.date : null);
+    this.migrateAnswerHistory(data[COLLECTIONS.ANSWERS] || {});
+
+    console.log(`💾 Storage ready (${this.driver.name}): ${this.archives.size} archives, ${this.currentScores.size} channels with current scores`);
+  }
+
+  /**
+   * Load today's per-channel scores and player stats. Days the midnight reset never
+   * got to (the server was down) are archived under their own date and cleared.
+   * @param {Object} data Everything the driver loaded
+   * @param {string|null} legacyDate Day of entries saved before they carried one
+   */
+  restoreDailyData(data, legacyDate) {
+    const today = dateKey(new Date());
+    const stale = new Map(); // "<channelId>_<date>" -> { channelId, date, scores, stats }
+    this.currentScores = new Map();
+    this.dailyPlayerStats = new Map();
+
+    const restore = (collection, field, target) => {
+      Object.entries(data[collection] || {}).forEach(([channelId, entry]) => {
+        const dated = !!(entry && entry.date);
+        const date = dated ? entry.date : legacyDate || yesterdayKey();
+        const value = (dated ? entry[field] : entry) || {};
+        if (date === today) {
+          target.set(channelId, value);
+          return;
+        }
+        const key = `${channelId}_${date}`;
+        if (!stale.has(key)) stale.set(key, { channelId, date, scores: {}, stats: {} });
+        stale.get(key)[field] = value;
+        this.persist('delete', collection, channelId);
+      });
+    };
+    restore(COLLECTIONS.CURRENT_SCORES, 'scores', this.currentScores);
+    restore(COLLECTIONS.DAILY_PLAYER_STATS, 'stats', this.dailyPlayerStats);
+
+    stale.forEach(({ channelId, date, scores, stats }) => {
+      this.archiveLeaderboard(channelId, scores, { date, stats });
+    });
+    if (stale.size) console.log(`📦 Archived ${stale.size} channel day(s) left over from before today`);
+  }
+
+  // Older versions kept every answer; count them once and drop the history
+  migrateAnswerHistory(history) {
+    const playerIds = Object.keys(history);
+    if (!playerIds.length) return;
+    playerIds.forEach(playerId => {
+      if (this.answerStats.has(playerId) || !Array.isArray(history[playerId])) return;
+      const stats = history[playerId].reduce(addAnswerToStats, undefined);
+      if (!stats) return;
+      this.answerStats.set(playerId, stats);
+      this.persist('set', COLLECTIONS.ANSWER_STATS, playerId, stats);
+    });
+    this.persist('clear', COLLECTIONS.ANSWERS);
+    console.log(`📦 Folded the answer history of ${playerIds.length} player(s) into counters`);
+  }
+
+  async close() {
+    await this.driver.close();
+  }
+
+  // Writes go to the cache synchronously and to the driver in the background
+  persist(operation, ...args) {
+    this.driver[operation](...args).catch(err => {
+      console.error(`❌ Storage ${operation} failed for ${args[0]}:`, err.message);
+    });
+  }
+
+  persistDailyStats() {
+    this.persist('set', COLLECTIONS.META, 'dailyStats', {
+      ...this.dailyStats,
+      uniquePlayers: Array.from(this.dailyStats.uniquePlayers),
+      activeChannels: Array.from(this.dailyStats.activeChannels)
+    });
   }
 
   saveLeaderboard(channelId, scores) {
     const date = new Date().toISOString().split('T')[0];
     const key = `${channelId}_${date}`;
-    
-    // Store in memory
-    this.archives.set(key, {
+    const archive = {
       channelId,
+      guildId: this.getChannelGuild(channelId),
       date,
       scores,
+      stats: this.getDailyPlayerStats(channelId),
       timestamp: new Date().toISOString()
-    });
+    };
+
+    this.archives.set(key, archive);
+    this.persist('set', COLLECTIONS.ARCHIVES, key, archive);
   }
 
-  saveCurrentScores(channelId, scores) {
-    // Save current day scores for restoration when room is recreated
-    this.currentScores.set(channelId, { ...scores });
+  /**
+   * Add a round's points to today's totals for a channel. Rooms only hold the
+   * current session's scores; the day's leaderboard is built from these totals.
+   * @param {string} channelId
+   * @param {Object} points playerId -> points scored this round
+   */
+  addCurrentScores(channelId, points) {
+    const totals = { ...this.getCurrentScores(channelId) };
+    Object.entries(points).forEach(([playerId, value]) => {
+      totals[playerId] = (totals[playerId] || 0) + value;
+    });
+    this.currentScores.set(channelId, totals);
+    this.persist('set', COLLECTIONS.CURRENT_SCORES, channelId, { date: dateKey(new Date()), scores: totals });
   }
 
   getCurrentScores(channelId) {
-    // Get current day scores for room restoration
+    // Today's totals across every session in the channel
     return this.currentScores.get(channelId) || {};
   }
 
   clearCurrentScores(channelId) {
     // Clear current scores (called during daily reset)
     this.currentScores.delete(channelId);
+    this.persist('delete', COLLECTIONS.CURRENT_SCORES, channelId);
+  }
+
+  savePlayerProfile(playerId, { name, avatar } = {}) {
+    if (!playerId) return;
+    const existing = this.players.get(playerId) || {};
+    const profile = {
+      name: name || existing.name || null,
+      avatar: avatar !== undefined ? avatar : (existing.avatar || null)
+    };
+    // Skip the write when nothing changed; this is called on every join and answer
+    if (profile.name === existing.name && profile.avatar === existing.avatar) return;
+
+    profile.updatedAt = new Date().toISOString();
+    this.players.set(playerId, profile);
+    this.persist('set', COLLECTIONS.PLAYERS, playerId, profile);
+  }
+
+  /**
+   * Record which guild a channel is in. A client-reported guild only fills in an unknown channel;
+   * a verified one (Discord's answer) replaces anything and is never replaced by a report.
+   * @param {string} channelId
+   * @param {string|null} guildId null for a verified channel outside any guild
+   * @param {Object} [options]
+   * @param {boolean} [options.verified]
+   */
+  setChannelGuild(channelId, guildId, { verified = false } = {}) {
+    if (!channelId) return;
+    const known = this.channels.get(channelId);
+    if (verified) {
+      if (known && known.verified && known.guildId === (guildId || null)) return;
+    } else if (!guildId || known) {
+      return;
+    }
+    const channel = { guildId: guildId || null, verified };
+    this.channels.set(channelId, channel);
+    this.persist('set', COLLECTIONS.CHANNELS, channelId, channel);
+  }
+
+  isChannelGuildVerified(channelId) {
+    return Boolean((this.channels.get(channelId) || {}).verified);
+  }
+
+  getChannelGuild(channelId) {
+    return (this.channels.get(channelId) || {}).guildId || null;
+  }
+
+  /**
+   * Add one scored round to today's per-player counters for a channel
+   * @param {string} channelId
+   * @param {string} gameId Identifies the game, so each game counts once per player
+   * @param {Array<{ playerId: string, isCorrect: boolean, timeTaken: number|null }>} results
+   */
+  recordRoundResults(channelId, gameId, results) {
+    if (!results.length) return;
+    const stats = this.dailyPlayerStats.get(channelId) || {};
+
+    results.forEach(({ playerId, isCorrect, timeTaken }) => {
+      const player = stats[playerId] || {
+        gamesPlayed: 0,
+        questionsAnswered: 0,
+        correct: 0,
+        timedAnswers: 0,
+        totalAnswerTime: 0,
+        lastGameId: null
+      };
+      if (player.lastGameId !== gameId) {
+        player.gamesPlayed++;
+        player.lastGameId = gameId;
+      }
+      player.questionsAnswered++;
+      if (isCorrect) player.correct++;
+      if (typeof timeTaken === 'number') {
+        player.timedAnswers++;
+        player.totalAnswerTime += timeTaken;
+      }
+      stats[playerId] = player;
+    });
+
+    this.dailyPlayerStats.set(channelId, stats);
+    this.persist('set', COLLECTIONS.DAILY_PLAYER_STATS, channelId, { date: dateKey(new Date()), stats });
+  }
+
+  getDailyPlayerStats(channelId) {
+    return this.dailyPlayerStats.get(channelId) || {};
+  }
+
+  clearDailyPlayerStats(channelId) {
+    this.dailyPlayerStats.delete(channelId);
+    this.persist('delete', COLLECTIONS.DAILY_PLAYER_STATS, channelId);
+  }
+
+  // Channels with today's data that has not been archived by the daily reset yet
+  getChannelsWithDailyData() {
+    return Array.from(new Set([...this.currentScores.keys(), ...this.dailyPlayerStats.keys()]));
+  }
+
+  /**
+   * Add scored answers to each player's lifetime counters (overall, per type and per category)
+   * @param {Array<{ playerId: string }>} records One per answer, see GameEngine.endRound
+   */
+  recordAnswers(records) {
+    const touched = new Set();
+    records.forEach(({ playerId, ...record }) => {
+      this.answerStats.set(playerId, addAnswerToStats(this.answerStats.get(playerId), record));
+      touched.add(playerId);
+    });
+    touched.forEach(playerId => {
+      this.persist('set', COLLECTIONS.ANSWER_STATS, playerId, this.answerStats.get(playerId));
+    });
+  }
+
+  getAnswerStats(playerId) {
+    return this.answerStats.get(playerId) || null;
+  }
+
+  /**
+   * Count one showing of a question and the answers it got
+   * @param {string} questionId Permanent question id
+   * @param {Array<{ isCorrect: boolean, timeTaken: number|null }>} selections
+   */
+  recordQuestionRound(questionId, selections) {
+    if (!questionId) return;
+    const stats = this.questionStats.get(questionId) || {
+      timesAsked: 0,
+      answers: 0,
+      correct: 0,
+      timedAnswers: 0,
+      totalAnswerTime: 0,
+      lastAskedAt: null
+    };
+
+    stats.timesAsked++;
+    stats.lastAskedAt = new Date().toISOString();
+    selections.forEach(({ isCorrect, timeTaken }) => {
+      stats.answers++;
+      if (isCorrect) stats.correct++;
+      if (typeof timeTaken === 'number') {
+        stats.timedAnswers++;
+        stats.totalAnswerTime += timeTaken;
+      }
+    });
+
+    this.questionStats.set(questionId, stats);
+    this.persist('set', COLLECTIONS.QUESTION_STATS, questionId, stats);
+  }
+
+  getQuestionStats(questionId) {
+    return this.questionStats.get(questionId) || null;
+  }
+
+  saveQuestionDeck(channelId, deck) {
+    this.questionDecks.set(channelId, deck);
+    this.persist('set', COLLECTIONS.QUESTION_DECKS, channelId, deck);
+  }
+
+  getQuestionDeck(channelId) {
+    return this.questionDecks.get(channelId) || null;
+  }
+
+  saveRoomSettings(channelId, settings) {
+    this.roomSettings.set(channelId, settings);
+    this.persist('set', COLLECTIONS.ROOM_SETTINGS, channelId, settings);
+  }
+
+  getRoomSettings(channelId) {
+    return this.roomSettings.get(channelId) || {};
+  }
+
+  // Final results of a finished session, see utils/sessionSummary.js
+  archiveSession(summary) {
+    this.sessions.set(summary.id, summary);
+    this.persist('set', COLLECTIONS.SESSIONS, summary.id, summary);
+  }
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  // A channel's finished sessions, newest first
+  getSessions(channelId, limit) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.channelId === channelId)
+      .sort((a, b) => b.endedAt.localeCompare(a.endedAt))
+      .slice(0, limit);
+  }
+
+  // Revoked server session tokens, see services/SessionTokenService.js
+  saveRevocation(key, revocation) {
+    this.revocations.set(key, revocation);
+    this.persist('set', COLLECTIONS.REVOCATIONS, key, revocation);
+  }
+
+  getRevocation(key) {
+    return this.revocations.get(key) || null;
+  }
+
+  // A revocation is only needed until the tokens it covers could no longer be used anyway
+  pruneRevocations(now = Date.now()) {
+    this.revocations.forEach((revocation, key) => {
+      if (revocation.expiresAt <= now) {
+        this.revocations.delete(key);
+        this.persist('delete', COLLECTIONS.REVOCATIONS, key);
+      }
+    });
+  }
+
+  getAllArchives() {
+    return Array.from(this.archives.values());
+  }
+
+  getPlayerProfile(playerId) {
+    return this.players.get(playerId) || null;
+  }
+
+  getLeaderboard(channelId, date) {
+    return this.archives.get(`${channelId}_${date}`) || null;
   }
 
   getLeaderboardHistory(channelId, days = 7) {
     const date = new Date();
     const archives = [];
-    
+
     for (let i = 0; i < days; i++) {
       const key = `${channelId}_${date.toISOString().split('T')[0]}`;
       const archive = this.archives.get(key);
@@ -63,15 +485,16 @@ class StorageService {
 
   updateAnalytics(data) {
     const { channelId, playerId, questionAnswered = false } = data;
-    
+
     if (questionAnswered) {
       this.dailyStats.questionsAnswered++;
     }
-    
+
     this.dailyStats.activeChannels.add(channelId);
     if (playerId) {
       this.dailyStats.uniquePlayers.add(playerId);
     }
+    this.persistDailyStats();
   }
 
   getAnalytics() {
@@ -83,17 +506,27 @@ class StorageService {
     };
   }
 
-  archiveLeaderboard(channelId, scores) {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const key = `${channelId}_${yesterday.toISOString().split('T')[0]}`;
-    
-    this.archives.set(key, {
+  /**
+   * Archive a channel's day, by default the one the midnight reset just ended
+   * @param {string} channelId
+   * @param {Object|Array} scores
+   * @param {Object} [options]
+   * @param {string} [options.date] YYYY-MM-DD, defaults to yesterday
+   * @param {Object} [options.stats] Player stats of that day, defaults to the channel's current ones
+   */
+  archiveLeaderboard(channelId, scores, { date = yesterdayKey(), stats = this.getDailyPlayerStats(channelId) } = {}) {
+    const key = `${channelId}_${date}`;
+    const archive = {
       channelId,
-      date: yesterday.toISOString().split('T')[0],
+      guildId: this.getChannelGuild(channelId),
+      date,
       scores,
+      stats,
       archivedAt: new Date().toISOString()
-    });
+    };
+
+    this.archives.set(key, archive);
+    this.persist('set', COLLECTIONS.ARCHIVES, key, archive);
   }
 
   resetDailyStats() {
@@ -103,9 +536,13 @@ class StorageService {
       questionsAnswered: 0,
       uniquePlayers: new Set(),
       activeChannels: new Set()
-    };    
+    };
     // Clear all current scores as part of daily reset
     this.currentScores.clear();
+    this.dailyPlayerStats.clear();
+    this.persist('clear', COLLECTIONS.CURRENT_SCORES);
+    this.persist('clear', COLLECTIONS.DAILY_PLAYER_STATS);
+    this.persistDailyStats();
   }
 }
 
@@ -0,0 +1,94 @@
+// services/storage/JsonFileDriver.js
+const fs = require('fs').promises;
+const path = require('path');
+
+const WRITE_DEBOUNCE = 250; // ms, batches bursts of writes into one file write
+
+/**
+ * Stores each collection as <dataDir>/<collection>.json.
+ * Files are written to a temp file and renamed into place, so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+class JsonFileDriver {
+  constructor({ dataDir }) {
+    this.name = 'json';
+    this.dataDir = dataDir;
+    this.collections = {};
+    this.dirty = new Set();
+    this.flushTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  async load() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const files = await fs.readdir(this.dataDir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const collection = file.slice(0, -'.json'.length);
+      try {
+        const raw = await fs.readFile(path.join(this.dataDir, file), 'utf8');
+        this.collections[collection] = JSON.parse(raw);
+      } catch (err) {
+        console.error(`⚠️ [JsonFileDriver] Skipping unreadable ${file}:`, err.message);
+      }
+    }
+
+    return JSON.parse(JSON.stringify(this.collections));
+  }
+
+  async set(collection, key, value) {
+    if (!this.collections[collection]) this.collections[collection] = {};
+    this.collections[collection][key] = value;
+    this.markDirty(collection);
+  }
+
+  async delete(collection, key) {
+    if (!this.collections[collection]) return;
+    delete this.collections[collection][key];
+    this.markDirty(collection);
+  }
+
+  async clear(collection) {
+    this.collections[collection] = {};
+    this.markDirty(collection);
+  }
+
+  markDirty(collection) {
+    this.dirty.add(collection);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, WRITE_DEBOUNCE);
+    }
+  }
+
+  flush() {
+    const collections = Array.from(this.dirty);
+    this.dirty.clear();
+    // Chain flushes so two writes of the same file never race
+    this.flushing = this.flushing
+      .then(() => Promise.all(collections.map(c => this.writeCollection(c))))
+      .catch(err => console.error('❌ [JsonFileDriver] Flush failed:', err.message));
+    return this.flushing;
+  }
+
+  async writeCollection(collection) {
+    const target = path.join(this.dataDir, `${collection}.json`);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(temp, JSON.stringify(this.collections[collection] || {}));
+    await fs.rename(temp, target);
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = JsonFileDriver;
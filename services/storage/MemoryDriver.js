@@ -0,0 +1,39 @@
+// services/storage/MemoryDriver.js
+
+/**
+ * Keeps nothing beyond the process lifetime. Used for tests and local development.
+ *
+ * Every driver implements the same key/value interface over named collections:
+ *   load()                      -> Promise<{ [collection]: { [key]: value } }>
+ *   set(collection, key, value) -> Promise<void>
+ *   delete(collection, key)     -> Promise<void>
+ *   clear(collection)           -> Promise<void>
+ *   close()                     -> Promise<void> (flushes pending writes)
+ */
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.collections = {};
+  }
+
+  async load() {
+    return JSON.parse(JSON.stringify(this.collections));
+  }
+
+  async set(collection, key, value) {
+    if (!this.collections[collection]) this.collections[collection] = {};
+    this.collections[collection][key] = value;
+  }
+
+  async delete(collection, key) {
+    if (this.collections[collection]) delete this.collections[collection][key];
+  }
+
+  async clear(collection) {
+    delete this.collections[collection];
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,87 @@
+// services/storage/SqliteDriver.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Embedded SQLite storage (better-sqlite3) in <dataDir>/storage.db.
+ * One key/value table; values are JSON. better-sqlite3 is synchronous and
+ * each statement is its own transaction, so writes are durable on return.
+ */
+class SqliteDriver {
+  constructor({ dataDir }) {
+    this.name = 'sqlite';
+    this.dataDir = dataDir;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return this.db;
+    // Required lazily so the other drivers work without the native module (an optional dependency)
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error(`STORAGE_DRIVER=sqlite needs better-sqlite3, which failed to install: ${err.message}`);
+    }
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.db = new Database(path.join(this.dataDir, 'storage.db'));
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entries (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      )
+    `);
+    this.statements = {
+      all: this.db.prepare('SELECT collection, key, value FROM entries'),
+      set: this.db.prepare(`
+        INSERT INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+      clear: this.db.prepare('DELETE FROM entries WHERE collection = ?')
+    };
+    return this.db;
+  }
+
+  async load() {
+    this.open();
+    const collections = {};
+    for (const row of this.statements.all.iterate()) {
+      if (!collections[row.collection]) collections[row.collection] = {};
+      try {
+        collections[row.collection][row.key] = JSON.parse(row.value);
+      } catch (err) {
+        console.error(`⚠️ [SqliteDriver] Skipping corrupt entry ${row.collection}/${row.key}`);
+      }
+    }
+    return collections;
+  }
+
+  async set(collection, key, value) {
+    this.open();
+    this.statements.set.run(collection, key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  async delete(collection, key) {
+    this.open();
+    this.statements.delete.run(collection, key);
+  }
+
+  async clear(collection) {
+    this.open();
+    this.statements.clear.run(collection);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,35 @@
+// services/storage/index.js
+const path = require('path');
+const MemoryDriver = require('./MemoryDriver');
+const JsonFileDriver = require('./JsonFileDriver');
+const SqliteDriver = require('./SqliteDriver');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Pick the storage driver from the environment.
+ * STORAGE_DRIVER: memory | json | sqlite (default json, memory under NODE_ENV=test)
+ * STORAGE_DATA_DIR: where json/sqlite files live (default ./data)
+ */
+function createDriver(env = process.env) {
+  const name = (env.STORAGE_DRIVER || (env.NODE_ENV === 'test' ? 'memory' : 'json')).toLowerCase();
+  const dataDir = env.STORAGE_DATA_DIR || DEFAULT_DATA_DIR;
+
+  switch (name) {
+    case 'memory':
+      return new MemoryDriver();
+    case 'json':
+      return new JsonFileDriver({ dataDir });
+    case 'sqlite':
+      return new SqliteDriver({ dataDir });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected memory, json or sqlite)`);
+  }
+}
+
+module.exports = {
+  createDriver,
+  MemoryDriver,
+  JsonFileDriver,
+  SqliteDriver
+};
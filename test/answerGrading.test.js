@@ -0,0 +1,106 @@
+// test/answerGrading.test.js
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { isCardAnswerCorrect, MAX_ANSWER_LENGTH } = require('../utils/answerMatching');
+const { GameEngine } = require('../services/GameEngine');
+
+const ROOM_ID = 'room-1';
+const TYPED_CARD = {
+  id: 'card_team_spanish_road',
+  isCard: true,
+  cardMode: 'name',
+  cardName: 'Team Spanish Road',
+  aliases: ['Camino Real']
+};
+const TRIVIA = {
+  id: 'q_test',
+  question: 'Which civilization ships the Team Spanish Road card?',
+  options: ['A) Spanish', 'B) British', 'C) French', 'D) Dutch'],
+  answer: 'A'
+};
+
+describe('isCardAnswerCorrect', () => {
+  const grade = answer => isCardAnswerCorrect(answer, TYPED_CARD.cardName, TYPED_CARD.aliases);
+
+  it('accepts the name regardless of case, accents, punctuation and spacing', () => {
+    ['Team Spanish Road', 'team spanish road!', 'Team Spánish Road', 'teamspanishroad'].forEach(answer => {
+      assert.equal(grade(answer), true, answer);
+    });
+  });
+
+  it('accepts the name without its "Team" prefix', () => {
+    assert.equal(grade('Spanish Road'), true);
+  });
+
+  it('accepts aliases', () => {
+    assert.equal(grade('camino real'), true);
+  });
+
+  it('tolerates small typos, fewer on short names', () => {
+    assert.equal(grade('Spanish Raod'), true);
+    assert.equal(isCardAnswerCorrect('Unktion', 'Unction'), true);
+    assert.equal(isCardAnswerCorrect('Cowz', 'Cows'), false);
+  });
+
+  it('rejects other names and empty answers', () => {
+    ['Spanish Ships', 'Team Hidalgos', '', '!!!', null].forEach(answer => {
+      assert.equal(grade(answer), false, String(answer));
+    });
+  });
+
+  it('rejects answers over the length limit, even when they normalize to the name', () => {
+    assert.equal(grade(`Team Spanish Road${' '.repeat(MAX_ANSWER_LENGTH)}`), false);
+  });
+});
+
+describe('GameEngine.submitAnswer grading', () => {
+  let engine;
+
+  // Three players, so the two answers a test gives don't end the round
+  function startRound(question) {
+    engine = new GameEngine({ drawQuestion: () => question });
+    engine.joinPlayer(ROOM_ID, { id: 'p1', name: 'Player 1', avatar: null, socketId: 's1' });
+    engine.joinPlayer(ROOM_ID, { id: 'p2', name: 'Player 2', avatar: null, socketId: 's2' });
+    engine.joinPlayer(ROOM_ID, { id: 'p3', name: 'Player 3', avatar: null, socketId: 's3' });
+    assert.equal(engine.startQuestion(ROOM_ID).created, true);
+    return engine.getRoom(ROOM_ID);
+  }
+
+  afterEach(() => engine.deleteRoom(ROOM_ID)); // clears the round timer
+
+  it('grades typed card answers on the server', () => {
+    const room = startRound(TYPED_CARD);
+
+    assert.equal(engine.submitAnswer(ROOM_ID, 'p1', { cardAnswer: 'spanish raod' }).accepted, true);
+    assert.equal(room.selections.p1.isCorrect, true);
+    assert.equal(engine.submitAnswer(ROOM_ID, 'p2', { cardAnswer: 'Team Hidalgos' }).accepted, true);
+    assert.equal(room.selections.p2.isCorrect, false);
+  });
+
+  it('refuses over-long typed answers', () => {
+    const room = startRound(TYPED_CARD);
+    const result = engine.submitAnswer(ROOM_ID, 'p1', { cardAnswer: 'x'.repeat(MAX_ANSWER_LENGTH + 1) });
+
+    assert.equal(result.accepted, false);
+    assert.equal(room.selections.p1, undefined);
+  });
+
+  it('refuses an optionIndex for a typed question', () => {
+    const room = startRound(TYPED_CARD);
+
+    [-1, 0, 1].forEach(optionIndex => {
+      assert.equal(engine.submitAnswer(ROOM_ID, 'p1', { optionIndex }).accepted, false, String(optionIndex));
+    });
+    assert.equal(room.selections.p1, undefined);
+  });
+
+  it('only accepts option indexes the question has', () => {
+    const room = startRound(TRIVIA);
+
+    [-1, 4, 1.5, '0', undefined].forEach(optionIndex => {
+      assert.equal(engine.submitAnswer(ROOM_ID, 'p1', { optionIndex }).accepted, false, String(optionIndex));
+    });
+    assert.equal(engine.submitAnswer(ROOM_ID, 'p1', { optionIndex: 0 }).accepted, true);
+    assert.equal(room.selections.p1.isCorrect, true);
+  });
+});
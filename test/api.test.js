@@ -0,0 +1,106 @@
+// test/api.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createApiRouter } = require('../routes/api');
+
+const USER = { id: 'user-1', username: 'player1', global_name: 'Player 1', avatar: null };
+const PAYLOAD = { question: { id: 'q_test', question: 'Test?', options: ['A) Yes', 'B) No'] }, timeLeft: 20 };
+
+// Just enough of GameEngine for the routes under test, with fixed answers
+function createStubEngine() {
+  const room = { id: 'room-1', guildId: null, isHost: userId => userId === USER.id };
+  return {
+    ensureRoom: () => room,
+    getRoom: () => room,
+    setGuild: () => {},
+    touchHttpPlayer: () => {},
+    refreshHttpPlayer: () => {},
+    claimHost: () => room,
+    setQuestionFilter: () => ({ accepted: true }),
+    startQuestion: () => ({ room, created: true }),
+    getQuestionPayload: () => PAYLOAD,
+    getState: roomId => ({ roomId, state: 'lobby', question: null })
+  };
+}
+
+const stubDiscord = {
+  exchangeCode: async ({ code }) => ({ access_token: `access-${code}`, token_type: 'Bearer' })
+};
+
+async function stubVerifyToken(token) {
+  return token === 'good' ? { user: USER, claims: null } : { status: 401, error: 'invalid token' };
+}
+
+// Discord's URL mapping strips /api, so server.js mounts the router twice; do the same here
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  const router = createApiRouter({
+    engine: createStubEngine(),
+    analytics: {},
+    clientId: 'client',
+    clientSecret: 'secret',
+    cardCount: 0,
+    discord: stubDiscord,
+    verifyToken: stubVerifyToken
+  });
+  app.use('/api', router);
+  app.use('/', router);
+  return app;
+}
+
+describe('api router prefixes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  async function call(prefix, { method = 'GET', path, token, body }) {
+    const resp = await fetch(`${baseUrl}${prefix}${path}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await resp.json();
+    delete json.timestamp; // /health stamps every answer
+    return { status: resp.status, body: json };
+  }
+
+  const cases = [
+    { name: 'GET /health', path: '/health', status: 200 },
+    { name: 'POST /token', method: 'POST', path: '/token', body: { code: 'abc' }, status: 200 },
+    { name: 'POST /token without a code', method: 'POST', path: '/token', body: {}, status: 400 },
+    {
+      name: 'POST /game-event',
+      method: 'POST',
+      path: '/game-event',
+      token: 'good',
+      body: { event: 'start_question', data: { roomId: 'room-1' } },
+      status: 200
+    },
+    { name: 'POST /game-event without a token', method: 'POST', path: '/game-event', body: { event: 'start_question' }, status: 401 },
+    { name: 'POST /start_question', method: 'POST', path: '/start_question', token: 'good', body: { roomId: 'room-1' }, status: 200 },
+    { name: 'POST /start_question without a roomId', method: 'POST', path: '/start_question', token: 'good', body: {}, status: 400 },
+    { name: 'GET /game-state/:roomId', path: '/game-state/room-1', token: 'good', status: 200 },
+    { name: 'GET /game-state/:roomId without a token', path: '/game-state/room-1', status: 401 }
+  ];
+
+  cases.forEach(({ name, status, ...request }) => {
+    it(`${name} answers the same under /api and /`, async () => {
+      const prefixed = await call('/api', request);
+      const bare = await call('', request);
+      assert.equal(prefixed.status, status);
+      assert.deepEqual(bare, prefixed);
+    });
+  });
+});
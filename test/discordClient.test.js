@@ -0,0 +1,112 @@
+// test/discordClient.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const DiscordClient = require('../services/DiscordClient');
+const { DiscordAuthError, DiscordRateLimitError } = require('../utils/discordErrors');
+
+const MOCK_SCRIPT = path.join(__dirname, '..', 'scripts', 'mock-discord.js');
+const BUCKET_LIMIT = 5; // requests per token and route the mock allows per window
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start scripts/mock-discord.js and wait for its "listening" line
+function startMock(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [MOCK_SCRIPT, String(port)], {
+      env: { ...process.env, MOCK_DISCORD_DELAY: '20' },
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`mock-discord exited with ${code}`)));
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('Mock Discord API')) resolve(child);
+    });
+  });
+}
+
+describe('DiscordClient against scripts/mock-discord.js', () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    const port = await getFreePort();
+    mock = await startMock(port);
+    baseUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(() => {
+    mock.removeAllListeners('exit');
+    mock.kill();
+    DiscordClient.configure();
+  });
+
+  // A fresh client state per test: no cache, no known buckets, no global limit
+  beforeEach(() => {
+    DiscordClient.configure({ baseUrl, botToken: 'mock-bot' });
+  });
+
+  async function requestCount(route) {
+    const stats = await (await fetch(`${baseUrl}/_stats`)).json();
+    return stats[route] || 0;
+  }
+
+  it('sends one upstream request for concurrent lookups of the same token', async () => {
+    const before = await requestCount('GET /users/@me');
+    const users = await Promise.all(Array.from({ length: 5 }, () => DiscordClient.getUser('user-42')));
+
+    users.forEach(user => assert.equal(user.id, '42'));
+    assert.equal(await requestCount('GET /users/@me') - before, 1);
+  });
+
+  it('waits out a short 429 and retries once', async () => {
+    // Use up the bucket behind the client's back, so it only learns about the limit from the 429
+    for (let i = 0; i < BUCKET_LIMIT; i++) {
+      DiscordClient.configure({ baseUrl });
+      await DiscordClient.getUserGuilds('user-7');
+    }
+    DiscordClient.configure({ baseUrl });
+    const before = await requestCount('GET /users/@me/guilds');
+
+    const guilds = await DiscordClient.getUserGuilds('user-7');
+
+    assert.ok(Array.isArray(guilds));
+    assert.equal(await requestCount('GET /users/@me/guilds') - before, 2); // the 429, then the retry
+  });
+
+  it('throws DiscordRateLimitError for a 429 too long to wait out', async () => {
+    await assert.rejects(DiscordClient.getUser('limited'), err => {
+      assert.ok(err instanceof DiscordRateLimitError);
+      assert.equal(err.retryAfter, 10);
+      assert.equal(err.global, true);
+      return true;
+    });
+  });
+
+  it('throws DiscordAuthError when Discord answers 401', async () => {
+    await assert.rejects(DiscordClient.getUser('not-a-token'), err => {
+      assert.ok(err instanceof DiscordAuthError);
+      assert.equal(err.status, 401);
+      return true;
+    });
+  });
+
+  it('looks channels up with the bot token', async () => {
+    assert.equal((await DiscordClient.getChannel('channel-1')).guild_id, 'guild-1');
+    assert.equal((await DiscordClient.getChannel('dm-1')).guild_id, undefined);
+
+    DiscordClient.configure({ baseUrl, botToken: null });
+    await assert.rejects(DiscordClient.getChannel('channel-1'), DiscordAuthError);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Server-side grading for typed card answers.
+ * Tolerates case, punctuation, accents, small typos and known aliases
+ * so players are not punished for "spanish road" vs "Team Spanish Road".
+ */
+
+// Prefixes that may be omitted by the player (e.g. "Team Hidalgos" -> "Hidalgos")
+const OPTIONAL_PREFIXES = ['team '];
+
+// Longest typed answer graded; card names are far shorter, and edit distance is quadratic in length
+const MAX_ANSWER_LENGTH = 100;
+
+/**
+ * Normalize free text for comparison: lowercase, strip accents,
+ * drop punctuation and collapse whitespace.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeAnswer(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Classic Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Number of typos tolerated for a target of the given length
+function allowedDistance(length) {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+}
+
+/**
+ * Build every accepted normalized form for a card name
+ * @param {string} cardName
+ * @param {string[]} [aliases]
+ * @returns {string[]}
+ */
+function acceptedForms(cardName, aliases = []) {
+  const forms = new Set();
+  [cardName, ...aliases].forEach(name => {
+    const normalized = normalizeAnswer(name);
+    if (!normalized) return;
+    forms.add(normalized);
+    OPTIONAL_PREFIXES.forEach(prefix => {
+      if (normalized.startsWith(prefix)) {
+        forms.add(normalized.slice(prefix.length));
+      }
+    });
+  });
+  return Array.from(forms);
+}
+
+/**
+ * Grade a typed card answer against the card name
+ * @param {string} answer The raw text submitted by the player
+ * @param {string} cardName The canonical card name
+ * @param {string[]} [aliases] Extra accepted names, from the card's cards.json entry
+ * @returns {boolean}
+ */
+function isCardAnswerCorrect(answer, cardName, aliases) {
+  if (typeof answer !== 'string' || answer.length > MAX_ANSWER_LENGTH) return false;
+  const guess = normalizeAnswer(answer);
+  if (!guess || !cardName) return false;
+
+  return acceptedForms(cardName, aliases).some(form => {
+    if (guess === form) return true;
+    // Compare without spaces too so "fire towers" matches "firetowers"
+    if (guess.replace(/ /g, '') === form.replace(/ /g, '')) return true;
+    // The distance is at least the length difference, so skip the full comparison when that is too much
+    const allowed = allowedDistance(form.length);
+    if (Math.abs(guess.length - form.length) > allowed) return false;
+    return levenshtein(guess, form) <= allowed;
+  });
+}
+
+module.exports = {
+  MAX_ANSWER_LENGTH,
+  normalizeAnswer,
+  levenshtein,
+  isCardAnswerCorrect
+};
@@ -0,0 +1,145 @@
+// utils/auth.js
+
+const { DiscordAuthError, DiscordRateLimitError } = require('./discordErrors');
+
+// Administrator, Manage Server or Timeout Members makes a guild member a moderator here
+const MODERATOR_PERMISSIONS = (1n << 3n) | (1n << 5n) | (1n << 40n);
+
+function getBearerToken(req) {
+  const auth = req.headers.authorization;
+  if (!auth) return null;
+  return auth.replace(/^Bearer\s+/i, "");
+}
+
+/**
+ * How a refused token is reported over HTTP and in socket connect_errors
+ * @param {Error} err From DiscordClient or SessionTokenService
+ * @returns {{ status: number, error: string, code: string, retryAfter?: number }}
+ */
+function describeAuthError(err) {
+  if (err.name === 'SessionTokenError') return { status: 401, error: err.message, code: `session_${err.code}` };
+  if (err instanceof DiscordAuthError) return { status: 401, error: "invalid token", code: "invalid_token" };
+  if (err instanceof DiscordRateLimitError) {
+    return { status: 429, error: "Discord is rate limiting sign-ins; try again shortly", code: "rate_limited", retryAfter: err.retryAfter };
+  }
+  return { status: 503, error: "Could not verify the token with Discord", code: "discord_unavailable" };
+}
+
+// Refusal from createTokenVerifier as an HTTP response
+function sendAuthError(res, { status, error, retryAfter }, body = {}) {
+  if (retryAfter) res.set('Retry-After', String(Math.ceil(retryAfter)));
+  return res.status(status).json({ ...body, error });
+}
+
+/**
+ * Resolve a bearer token to a user. Server session tokens are verified locally;
+ * anything else is taken for a Discord access token and looked up through DiscordClient.
+ * @param {Object} deps
+ * @param {DiscordClient} deps.discord
+ * @param {SessionTokenService} deps.sessionTokens
+ * @returns {(token: string|null) => Promise<Object>} { user, claims } when accepted (claims are the
+ *   session token's, null for Discord tokens), otherwise describeAuthError's { status, error, code, retryAfter? }
+ */
+function createTokenVerifier({ discord, sessionTokens }) {
+  return async (token) => {
+    if (!token) return { status: 401, error: "missing auth", code: "missing_token" };
+
+    try {
+      if (sessionTokens.isSessionToken(token)) {
+        const claims = sessionTokens.verify(token);
+        return { user: claims.user, claims };
+      }
+      return { user: await discord.getUser(token), claims: null };
+    } catch (err) {
+      return describeAuthError(err);
+    }
+  };
+}
+
+/**
+ * Express middleware that only lets through Discord users listed in ADMIN_USER_IDS.
+ * The verified user is left on req.user.
+ * @param {Object} deps
+ * @param {Function} deps.verifyToken From createTokenVerifier
+ */
+function createRequireAdmin({ verifyToken }) {
+  return async (req, res, next) => {
+    try {
+      const result = await verifyToken(getBearerToken(req));
+      const { user } = result;
+      if (!user) return sendAuthError(res, result);
+
+      // For now, you could check against a list of admin user IDs
+      // In production, you'd want proper role-based access control
+      const isAdmin = process.env.ADMIN_USER_IDS?.split(',').includes(user.id);
+      if (!isAdmin) {
+        return res.status(403).json({ error: "unauthorized" });
+      }
+
+      req.user = user;
+      next();
+    } catch (err) {
+      // console.error("Error verifying admin:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Express middleware that only lets through requests carrying a valid session or Discord token.
+ * The verified user is left on req.user, a session token's claims on req.auth.
+ * @param {Object} deps
+ * @param {Function} deps.verifyToken From createTokenVerifier
+ */
+function createRequireUser({ verifyToken }) {
+  return async (req, res, next) => {
+    try {
+      const result = await verifyToken(getBearerToken(req));
+      if (!result.user) return sendAuthError(res, result, { success: false });
+      req.user = result.user;
+      req.auth = result.claims;
+      next();
+    } catch (err) {
+      return res.status(500).json({ success: false, error: "Internal server error" });
+    }
+  };
+}
+
+/**
+ * Check whether a token's user moderates the guild a channel belongs to, from the permissions
+ * Discord lists for each of the user's guilds (needs the `guilds` OAuth scope).
+ * The guild comes from Discord's own channel record (bot token), never from the client,
+ * so without DISCORD_BOT_TOKEN nobody is a moderator and rooms are run by their hosts.
+ * @param {Object} deps
+ * @param {DiscordClient} deps.discord
+ * @returns {(token: string, channelId: string) => Promise<boolean>} false when Discord can't tell
+ */
+function createModeratorCheck({ discord }) {
+  return async (token, channelId) => {
+    if (!token || !channelId) return false;
+
+    let channel;
+    let guilds;
+    try {
+      channel = await discord.getChannel(channelId);
+      if (!channel || !channel.guild_id) return false; // DMs have no moderators
+      guilds = await discord.getUserGuilds(token);
+    } catch (err) {
+      return false;
+    }
+
+    const guild = Array.isArray(guilds) ? guilds.find(g => g.id === channel.guild_id) : null;
+    if (!guild) return false;
+    return guild.owner === true || (BigInt(guild.permissions || 0) & MODERATOR_PERMISSIONS) !== 0n;
+  };
+}
+
+module.exports = {
+  getBearerToken,
+  describeAuthError,
+  sendAuthError,
+  createTokenVerifier,
+  createRequireAdmin,
+  createRequireUser,
+  createModeratorCheck
+};
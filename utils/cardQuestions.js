@@ -0,0 +1,136 @@
+// utils/cardQuestions.js
+const { issueImageToken } = require('./questionView');
+
+const CHOICE_COUNT = 4; // options in every multiple-choice card variant
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Card question variants, all built from the card manifest:
+ * - name: type the card name from its image (graded by utils/answerMatching)
+ * - choice: pick the card name from four, given the image
+ * - civilization: pick the civilization that ships the card, given image and name
+ * - image: pick the card's image from four, given the name
+ * The options modes are graded like trivia, against correctIndex.
+ */
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function nameWords(card) {
+  return card.name.toLowerCase().split(/\s+/).filter(word => word.length > 3);
+}
+
+// Known civilizations in the manifest, for civilization options
+function getCivilizations(cards) {
+  return Array.from(new Set(cards.map(card => card.civilization).filter(Boolean)));
+}
+
+/**
+ * Variants a card can be asked as
+ * @param {Object} card Manifest entry
+ * @param {Object[]} cards The whole manifest, where distractors come from
+ * @returns {string[]}
+ */
+function getCardModes(card, cards) {
+  const modes = ['name'];
+  if (cards.length >= CHOICE_COUNT) modes.push('choice', 'image');
+  if (card.civilization && getCivilizations(cards).length >= CHOICE_COUNT) modes.push('civilization');
+  return modes;
+}
+
+/**
+ * Pick a variant by the room's cardModes weights, among those at least one drawable card supports
+ * @param {Object[]} pool Cards the room may draw from (after filters)
+ * @param {Object[]} cards The whole manifest
+ * @param {Object} weights Room settings cardModes, e.g. { name: 40, choice: 25, ... }
+ * @returns {string}
+ */
+function pickCardMode(pool, cards, weights) {
+  const supported = new Set(pool.flatMap(card => getCardModes(card, cards)));
+  const modes = Array.from(supported).filter(mode => weights[mode] > 0);
+  // Only variants the pool can't serve are weighted (e.g. civilization with unknown civs): type the name
+  if (modes.length === 0) return 'name';
+
+  const total = modes.reduce((sum, mode) => sum + weights[mode], 0);
+  let roll = Math.random() * total;
+  return modes.find(mode => (roll -= weights[mode]) < 0) || modes[modes.length - 1];
+}
+
+// Three other cards that could pass for this one: same civilization, same age or a shared word first
+function pickDistractors(card, cards) {
+  const words = nameWords(card);
+  const score = (other) =>
+    (card.civilization && other.civilization === card.civilization ? 2 : 0) +
+    (card.age && other.age === card.age ? 1 : 0) +
+    (nameWords(other).some(word => words.includes(word)) ? 1 : 0);
+
+  return shuffle(cards.filter(other => other.id !== card.id))
+    .map(other => ({ other, score: score(other) }))
+    .sort((a, b) => b.score - a.score) // stable, so equal scores stay shuffled
+    .slice(0, CHOICE_COUNT - 1)
+    .map(({ other }) => other);
+}
+
+// Shuffle the correct item in with the distractors; correctIndex is where it landed
+function placeOptions(correct, distractors) {
+  const options = shuffle([correct, ...distractors]);
+  return { options, correctIndex: options.indexOf(correct) };
+}
+
+/**
+ * The variant-specific fields of a card question (options, correctIndex, image tokens)
+ * @param {Object} card Manifest entry being asked
+ * @param {Object[]} cards The whole manifest
+ * @param {string} mode One of getCardModes(card, cards)
+ * @returns {Object} Fields to merge into the server-side question
+ */
+function buildCardQuestion(card, cards, mode) {
+  if (mode === 'choice') {
+    const { options, correctIndex } = placeOptions(card, pickDistractors(card, cards));
+    return {
+      cardMode: mode,
+      imageToken: issueImageToken(card.image),
+      options: options.map((option, index) => `${OPTION_LETTERS[index]}) ${option.name}`),
+      correctIndex
+    };
+  }
+
+  if (mode === 'civilization') {
+    const others = shuffle(getCivilizations(cards).filter(civ => civ !== card.civilization)).slice(0, CHOICE_COUNT - 1);
+    const { options, correctIndex } = placeOptions(card.civilization, others);
+    return {
+      cardMode: mode,
+      imageToken: issueImageToken(card.image),
+      options: options.map((option, index) => `${OPTION_LETTERS[index]}) ${option}`),
+      correctIndex
+    };
+  }
+
+  if (mode === 'image') {
+    // Every option gets its own token, so the right image can't be told apart by its handle
+    const { options, correctIndex } = placeOptions(card, pickDistractors(card, cards));
+    return {
+      cardMode: mode,
+      imageOptions: options.map(option => issueImageToken(option.image)),
+      optionCardIds: options.map(option => option.id),
+      correctIndex
+    };
+  }
+
+  return {
+    cardMode: 'name',
+    imageToken: issueImageToken(card.image)
+  };
+}
+
+module.exports = {
+  getCardModes,
+  pickCardMode,
+  buildCardQuestion
+};
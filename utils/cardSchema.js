@@ -0,0 +1,94 @@
+// utils/cardSchema.js
+const fs = require('fs');
+const path = require('path');
+const { QUESTION_DIFFICULTIES } = require('./questionSchema');
+
+const CARD_ID_PATTERN = /^card_[a-z0-9_]+$/; // "card_team_spanish_road"
+const CARD_AGES = [1, 2, 3, 4, 5]; // Discovery through Imperial
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check one card. civilization is null for cards several civilizations share and difficulty is null
+ * while unrated. age is optional and left out until there is a source for it (shared cards come in
+ * different ages per civilization).
+ * @param {Object} card
+ * @param {string} assetsDir Directory the image filename must exist in
+ * @returns {string[]} Problems found, empty when the card is usable
+ */
+function validateCard(card, assetsDir) {
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    return ['entry is not an object'];
+  }
+
+  const errors = [];
+  if (typeof card.id !== 'string' || !CARD_ID_PATTERN.test(card.id)) {
+    errors.push('id must look like "card_team_spanish_road"');
+  }
+  if (!isNonEmptyString(card.name)) {
+    errors.push('name must be a non-empty string');
+  }
+  if (!Array.isArray(card.aliases) || !card.aliases.every(isNonEmptyString)) {
+    errors.push('aliases must be an array of non-empty strings');
+  }
+  if (card.civilization !== null && !isNonEmptyString(card.civilization)) {
+    errors.push('civilization must be a non-empty string or null');
+  }
+  if (card.age !== undefined && !CARD_AGES.includes(card.age)) {
+    errors.push(`age must be one of ${CARD_AGES.join(', ')}, or left out while unknown`);
+  }
+  if (card.difficulty !== null && !QUESTION_DIFFICULTIES.includes(card.difficulty)) {
+    errors.push(`difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')} or null`);
+  }
+
+  if (!isNonEmptyString(card.image) || path.basename(card.image) !== card.image) {
+    errors.push('image must be a filename in assets/');
+  } else if (!fs.existsSync(path.join(assetsDir, card.image))) {
+    // Usually a PNG that was renamed or re-hashed by a client build
+    errors.push(`image ${card.image} does not exist in assets/`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the whole card manifest, including ids and names used twice
+ * @param {Array} cards Parsed cards.json
+ * @param {string} assetsDir
+ * @returns {{ errors: Array<{ index: number, message: string }>, warnings: Array }}
+ */
+function validateCardManifest(cards, assetsDir) {
+  if (!Array.isArray(cards)) {
+    return { errors: [{ index: -1, message: 'card manifest must contain a JSON array' }], warnings: [] };
+  }
+
+  const errors = [];
+  const ids = new Map();
+  const names = new Map();
+  cards.forEach((card, index) => {
+    validateCard(card, assetsDir).forEach(message => errors.push({ index, message }));
+    if (!card || typeof card !== 'object') return;
+
+    if (ids.has(card.id)) {
+      errors.push({ index, message: `id "${card.id}" is already used by card #${ids.get(card.id)}` });
+    } else {
+      ids.set(card.id, index);
+    }
+
+    const name = isNonEmptyString(card.name) ? card.name.toLowerCase() : null;
+    if (name && names.has(name)) {
+      errors.push({ index, message: `name "${card.name}" is already used by card #${names.get(name)}` });
+    } else if (name) {
+      names.set(name, index);
+    }
+  });
+
+  return { errors, warnings: [] };
+}
+
+module.exports = {
+  CARD_AGES,
+  validateCardManifest
+};
@@ -0,0 +1,44 @@
+// utils/discordErrors.js
+
+// Base for everything DiscordClient throws; status is Discord's HTTP status (0 when it was never reached)
+class DiscordError extends Error {
+  constructor(message, status = 0) {
+    super(message);
+    this.name = 'DiscordError';
+    this.status = status;
+  }
+}
+
+// The token is invalid, expired or lacks the scope for the request
+class DiscordAuthError extends DiscordError {
+  constructor(message = 'Invalid Discord token', status = 401) {
+    super(message, status);
+    this.name = 'DiscordAuthError';
+  }
+}
+
+// Discord answered 429, or a bucket is known to be empty; retryAfter is in seconds
+class DiscordRateLimitError extends DiscordError {
+  constructor(retryAfter, { global = false, bucket = null } = {}) {
+    super(`Discord rate limit reached; retry in ${Math.ceil(retryAfter)}s`, 429);
+    this.name = 'DiscordRateLimitError';
+    this.retryAfter = retryAfter;
+    this.global = global;
+    this.bucket = bucket;
+  }
+}
+
+// Discord could not be reached or failed on its side (5xx)
+class DiscordUnavailableError extends DiscordError {
+  constructor(message = 'Discord is unavailable', status = 0) {
+    super(message, status);
+    this.name = 'DiscordUnavailableError';
+  }
+}
+
+module.exports = {
+  DiscordError,
+  DiscordAuthError,
+  DiscordRateLimitError,
+  DiscordUnavailableError
+};
@@ -0,0 +1,81 @@
+// utils/questionBuilder.js
+const { getCardModes, buildCardQuestion } = require('./cardQuestions');
+
+/**
+ * Server-side question for a trivia bank entry, in the same format as the JSON file
+ * with its permanent ID; the engine adds a roundId for each showing
+ * @param {Object} question QuestionBank entry
+ * @param {number} bankVersion QuestionBank.version the entry was read from
+ * @returns {Object}
+ */
+function buildTriviaRound(question, bankVersion) {
+  return {
+    id: question.id,
+    question: question.question,
+    options: question.options,
+    answer: question.answer,
+    correctIndex: question.correctIndex,
+    bankVersion, // rooms keep this copy even if the bank is edited mid-round
+    category: question.category,
+    tags: question.tags,
+    difficulty: question.difficulty,
+    source: question.source,
+    patch: question.patch,
+    isCard: false
+  };
+}
+
+/**
+ * Server-side question asking a card in one of its variants
+ * @param {Object} card CardCatalog entry
+ * @param {Object[]} cards The whole manifest, where distractors come from
+ * @param {string} mode One of getCardModes(card, cards)
+ * @returns {Object}
+ */
+function buildCardRound(card, cards, mode) {
+  return {
+    isCard: true,
+    cardName: card.name,
+    aliases: card.aliases,
+    civilization: card.civilization,
+    age: card.age ?? null,
+    difficulty: card.difficulty,
+    image: card.image,
+    ...buildCardQuestion(card, cards, mode), // imageToken(s) are opaque handles instead of filenames
+    id: card.id
+  };
+}
+
+/**
+ * Rebuild a question a client names by ID, from the server's own bank and manifest.
+ * Nothing else the client sends about the question is used.
+ * @param {Object} input
+ * @param {string} input.id Trivia question id or card id
+ * @param {string} [input.cardMode] Card variant; defaults to typing the name
+ * @param {Object} sources
+ * @param {QuestionBank} sources.bank
+ * @param {CardCatalog} sources.catalog
+ * @returns {{ question?: Object, error?: string }}
+ */
+function buildQuestionById({ id, cardMode } = {}, { bank, catalog }) {
+  if (typeof id !== 'string' || !id) return { error: 'question.id must name a bank question or card' };
+
+  const trivia = bank.getById(id);
+  if (trivia) return { question: buildTriviaRound(trivia, bank.version) };
+
+  const card = catalog.getById(id);
+  if (!card) return { error: `Unknown question id "${id}"` };
+
+  const mode = cardMode === undefined || cardMode === null ? 'name' : cardMode;
+  const modes = getCardModes(card, catalog.cards);
+  if (!modes.includes(mode)) {
+    return { error: `cardMode must be one of: ${modes.join(', ')}` };
+  }
+  return { question: buildCardRound(card, catalog.cards, mode) };
+}
+
+module.exports = {
+  buildTriviaRound,
+  buildCardRound,
+  buildQuestionById
+};
@@ -0,0 +1,102 @@
+// utils/questionImport.js
+
+const OPTION_COLUMNS = ['option_a', 'option_b', 'option_c', 'option_d', 'option_e', 'option_f'];
+const OPTION_PREFIX = /^[A-Z]\) /;
+
+/**
+ * Minimal RFC 4180 parser: quoted fields may contain commas, newlines and "" escapes
+ * @param {string} text
+ * @returns {string[][]} Rows of fields, blank lines dropped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn an uploaded CSV into bank entries. The header row names the columns:
+ * question, option_a..option_f, answer, and optionally category, difficulty,
+ * tags (separated by ";"), source and patch. Options without an "A) " prefix get one.
+ * @param {string} text
+ * @returns {Array} Entries, still to be validated
+ */
+function questionsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(fields => {
+    const value = (column) => {
+      const index = columns.indexOf(column);
+      return index === -1 ? '' : (fields[index] || '').trim();
+    };
+
+    const options = OPTION_COLUMNS
+      .map(value)
+      .filter(option => option !== '')
+      .map((option, index) => (OPTION_PREFIX.test(option) ? option : `${String.fromCharCode(65 + index)}) ${option}`));
+
+    const entry = {
+      question: value('question'),
+      options,
+      answer: value('answer').toUpperCase()
+    };
+    if (value('category')) entry.category = value('category');
+    if (value('difficulty')) entry.difficulty = value('difficulty');
+    if (value('tags')) entry.tags = value('tags').split(';').map(tag => tag.trim()).filter(Boolean);
+    if (value('source')) entry.source = value('source');
+    if (value('patch')) entry.patch = value('patch');
+    return entry;
+  });
+}
+
+/**
+ * Entries from a JSON upload: an array, { questions: [...] } or a single question
+ * @param {*} body Parsed JSON body
+ * @returns {Array|null} null when the shape is not recognised
+ */
+function questionsFromJson(body) {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.questions)) return body.questions;
+  if (body && typeof body === 'object' && body.question !== undefined) return [body];
+  return null;
+}
+
+module.exports = {
+  parseCsv,
+  questionsFromCsv,
+  questionsFromJson
+};
@@ -0,0 +1,245 @@
+// utils/questionSchema.js
+const crypto = require('crypto');
+
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CATEGORY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/; // "units", "native-settlements"
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const FILTER_FIELDS = ['category', 'difficulty', 'tags'];
+const CARD_CATEGORY = 'cards'; // category card questions are filed under in filters
+const OPTION_PREFIX = /^([A-Z])\) \S/; // "A) Ships 500 food"
+const LETTER_REFERENCE = /\b(?:both|either|neither)\s+([A-Z])\s*(?:&|and|or|nor)\s*([A-Z])\b/i; // "Both B & C"
+const PLACEHOLDER_TEXT = /^(template|placeholder|todo|tbd|lorem ipsum\b.*|x+|\?+|\.+)$/i; // left over from a copied template
+const SINGLE_CHARACTER_OPTION = /^\D$/; // "a" is a stub; one digit ("6") is a real answer
+const QUESTION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{2,63}$/; // "q_3f9a1c0b2e"
+const NEAR_DUPLICATE_SIMILARITY = 0.85; // word overlap (Jaccard) above which two questions are flagged
+
+// Thrown when a question file has fatal problems; report holds { errors, warnings } by index
+class QuestionBankError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'QuestionBankError';
+    this.report = report;
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Index of the option the answer letter points at, by its "X) " prefix
+ * @param {Object} question
+ * @returns {number} -1 unless exactly one option carries that letter
+ */
+function resolveAnswerIndex(question) {
+  if (!Array.isArray(question.options) || typeof question.answer !== 'string') return -1;
+  const matches = question.options
+    .map((option, index) => ({ index, match: typeof option === 'string' && option.match(OPTION_PREFIX) }))
+    .filter(({ match }) => match && match[1] === question.answer);
+  return matches.length === 1 ? matches[0].index : -1;
+}
+
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Permanent ID for a question that has none yet, derived from its content.
+ * It is written into the file when the bank is saved, so later edits keep it.
+ * @param {Object} question
+ * @returns {string}
+ */
+function createQuestionId(question) {
+  const content = [question.question, ...(question.options || [])].map(normalizeText).join('|');
+  return `q_${crypto.createHash('sha1').update(content).digest('hex').slice(0, 10)}`;
+}
+
+function wordSimilarity(a, b) {
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Check one bank entry. Only question, options and answer are required;
+ * category, tags, difficulty, source and patch are optional metadata.
+ * @param {Object} question
+ * @returns {string[]} Problems found, empty when the entry is usable
+ */
+function validateQuestion(question) {
+  const errors = [];
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    return ['entry is not an object'];
+  }
+
+  if (question.id !== undefined && !(typeof question.id === 'string' && QUESTION_ID_PATTERN.test(question.id))) {
+    errors.push('id must be 3-64 lowercase letters, digits, "_" or "-"');
+  }
+  if (!isNonEmptyString(question.question)) {
+    errors.push('question must be a non-empty string');
+  } else if (PLACEHOLDER_TEXT.test(question.question.trim())) {
+    errors.push('question is placeholder text');
+  }
+
+  const { options } = question;
+  if (!Array.isArray(options) || options.length < 2 || options.length > OPTION_LETTERS.length) {
+    errors.push(`options must be an array of 2-${OPTION_LETTERS.length} strings`);
+  } else {
+    options.forEach((option, index) => {
+      const expected = OPTION_LETTERS[index];
+      if (!isNonEmptyString(option)) {
+        errors.push(`option ${index} is empty`);
+        return;
+      }
+      const match = option.match(OPTION_PREFIX);
+      if (!match || match[1] !== expected) {
+        errors.push(`option ${index} must start with "${expected}) " followed by text`);
+        return;
+      }
+      const text = option.slice(match[0].length - 1).trim();
+      if (PLACEHOLDER_TEXT.test(text) || SINGLE_CHARACTER_OPTION.test(text)) {
+        errors.push(`option ${index} is placeholder text`);
+        return;
+      }
+      const reference = option.match(LETTER_REFERENCE);
+      if (reference && [reference[1], reference[2]].some(letter => !OPTION_LETTERS.slice(0, options.length).includes(letter.toUpperCase()))) {
+        errors.push(`option ${index} refers to an option that does not exist`);
+      }
+    });
+
+    if (typeof question.answer !== 'string' || !/^[A-Z]$/.test(question.answer)) {
+      errors.push('answer must be a single option letter such as "B"');
+    } else if (resolveAnswerIndex(question) === -1) {
+      errors.push(`answer "${question.answer}" does not resolve to exactly one option`);
+    }
+  }
+
+  if (question.category !== undefined && !(typeof question.category === 'string' && CATEGORY_PATTERN.test(question.category))) {
+    errors.push('category must be a lowercase slug such as "units"');
+  }
+  if (question.difficulty !== undefined && !QUESTION_DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`);
+  }
+  if (question.tags !== undefined && !(Array.isArray(question.tags) && question.tags.every(isNonEmptyString))) {
+    errors.push('tags must be an array of non-empty strings');
+  }
+  ['source', 'patch'].forEach(field => {
+    if (question[field] !== undefined && !isNonEmptyString(question[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a whole question file: every entry, plus duplicates across entries
+ * @param {Array} entries Parsed question file
+ * @returns {{ errors: Array<{ index: number, message: string }>, warnings: Array<{ index: number, message: string }> }}
+ *   errors are fatal (the bank must not be used), warnings are worth a look
+ */
+function validateQuestionBank(entries) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(entries)) {
+    return { errors: [{ index: -1, message: 'question file must contain a JSON array' }], warnings };
+  }
+
+  const seen = []; // { index, text, options, answer } of entries with usable question text
+  const ids = new Map(); // question id -> index of the entry that has it
+  entries.forEach((entry, index) => {
+    validateQuestion(entry).forEach(message => errors.push({ index, message }));
+    if (!entry || !isNonEmptyString(entry.question)) return;
+
+    // Derived IDs only collide for identical content, which the duplicate check reports
+    const id = entry.id || createQuestionId(entry);
+    if (ids.has(id) && entry.id) {
+      errors.push({ index, message: `id "${id}" is already used by question #${ids.get(id)}` });
+    } else {
+      ids.set(id, index);
+    }
+
+    const text = normalizeText(entry.question);
+    const options = Array.isArray(entry.options) ? entry.options.map(normalizeText).sort().join('|') : '';
+    const answerIndex = resolveAnswerIndex(entry);
+    const answer = answerIndex === -1 ? null : normalizeText(entry.options[answerIndex].slice(3));
+
+    for (const other of seen) {
+      if (other.text === text && other.options === options) {
+        errors.push({ index, message: `duplicate of question #${other.index}` });
+        break;
+      }
+      if (other.text === text) {
+        warnings.push({ index, message: `same question text as #${other.index} with different options` });
+        break;
+      }
+      // Templated siblings ("... on Wood?" / "... on a Mine?") differ in their answer, so require the same one
+      if (answer && other.answer === answer && wordSimilarity(other.text, text) >= NEAR_DUPLICATE_SIMILARITY) {
+        warnings.push({ index, message: `near-duplicate of question #${other.index}` });
+        break;
+      }
+    }
+    seen.push({ index, text, options, answer });
+  });
+
+  return { errors, warnings };
+}
+
+// "#12: answer "E" does not resolve to exactly one option"
+function formatIssues(issues) {
+  return issues.map(({ index, message }) => (index >= 0 ? `#${index}: ${message}` : message));
+}
+
+// Whether the input tries to change the draw filter at all (null clears a field)
+function hasQuestionFilter(input) {
+  return !!input && FILTER_FIELDS.some(field => Object.prototype.hasOwnProperty.call(input, field));
+}
+
+/**
+ * Read a draw filter from request or socket input
+ * @param {Object} input { category?, difficulty?, tags? } (tags may be comma separated)
+ * @returns {{ filter: Object|null, error?: string }} filter is null when nothing is restricted
+ */
+function parseQuestionFilter({ category, difficulty, tags } = {}) {
+  const filter = {};
+
+  if (category !== undefined && category !== null && category !== '') {
+    if (typeof category !== 'string' || !CATEGORY_PATTERN.test(category)) {
+      return { filter: null, error: 'category must be a lowercase slug such as "units"' };
+    }
+    filter.category = category;
+  }
+
+  if (difficulty !== undefined && difficulty !== null && difficulty !== '') {
+    if (!QUESTION_DIFFICULTIES.includes(difficulty)) {
+      return { filter: null, error: `difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}` };
+    }
+    filter.difficulty = difficulty;
+  }
+
+  if (tags !== undefined && tags !== null && tags !== '') {
+    const list = typeof tags === 'string' ? tags.split(',').map(tag => tag.trim()) : tags;
+    if (!Array.isArray(list) || !list.every(isNonEmptyString)) {
+      return { filter: null, error: 'tags must be a list of non-empty strings' };
+    }
+    filter.tags = list;
+  }
+
+  return { filter: Object.keys(filter).length ? filter : null };
+}
+
+module.exports = {
+  QUESTION_DIFFICULTIES,
+  CARD_CATEGORY,
+  QuestionBankError,
+  validateQuestion,
+  validateQuestionBank,
+  resolveAnswerIndex,
+  createQuestionId,
+  formatIssues,
+  hasQuestionFilter,
+  parseQuestionFilter
+};
@@ -0,0 +1,89 @@
+// utils/questionView.js
+const crypto = require('crypto');
+const path = require('path');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const IMAGE_TOKEN_TTL = 1000 * 60 * 60; // 1 hour, long enough for any round + reveal
+
+// token -> { file, expiresAt }
+const imageTokens = new Map();
+
+function purgeExpiredTokens(now = Date.now()) {
+  for (const [token, entry] of imageTokens) {
+    if (entry.expiresAt <= now) imageTokens.delete(token);
+  }
+}
+
+/**
+ * Issue an opaque token that maps to a card image without revealing its name
+ * @param {string} imageFile Filename in assets/, from the card manifest
+ * @returns {string}
+ */
+function issueImageToken(imageFile) {
+  purgeExpiredTokens();
+  const token = crypto.randomBytes(16).toString('hex');
+  imageTokens.set(token, {
+    file: imageFile,
+    expiresAt: Date.now() + IMAGE_TOKEN_TTL
+  });
+  return token;
+}
+
+/**
+ * Resolve an image token to an absolute file path
+ * @param {string} token
+ * @returns {string|null}
+ */
+function resolveImageToken(token) {
+  const entry = imageTokens.get(token);
+  if (!entry || entry.expiresAt <= Date.now() || !entry.file) return null;
+  return path.join(ASSETS_DIR, entry.file);
+}
+
+/**
+ * Strip everything that would reveal the answer before the round is over
+ * @param {Object|null} question The server-side question object
+ * @returns {Object|null} The view that is safe to send to every client
+ */
+function toPublicQuestion(question) {
+  if (!question) return null;
+
+  // Clients key rounds by id, so it is the round's id; card question ids name the card
+  const roundId = question.roundId || question.id;
+
+  if (question.isCard) {
+    const view = {
+      id: roundId,
+      roundId,
+      isCard: true,
+      cardMode: question.cardMode || 'name'
+    };
+    if (view.cardMode === 'image') {
+      // Reverse mode: the name is the question, the images are the options
+      view.cardName = question.cardName;
+      view.imageOptions = question.imageOptions;
+    } else {
+      view.imageToken = question.imageToken;
+    }
+    if (view.cardMode === 'choice' || view.cardMode === 'civilization') view.options = question.options;
+    if (view.cardMode === 'civilization') view.cardName = question.cardName;
+    return view;
+  }
+
+  return {
+    id: roundId,
+    roundId,
+    questionId: question.id,
+    isCard: false,
+    question: question.question,
+    options: question.options,
+    category: question.category,
+    difficulty: question.difficulty
+  };
+}
+
+module.exports = {
+  issueImageToken,
+  resolveImageToken,
+  toPublicQuestion
+};
@@ -0,0 +1,115 @@
+// utils/roomSettings.js
+
+// Relative weights, so { trivia: 0, cards: 1 } is a card-only game.
+// cardModes weighs the card question variants the same way (see utils/cardQuestions.js).
+const DEFAULT_ROOM_SETTINGS = {
+  typeWeights: { trivia: 55, cards: 45 },
+  cardModes: { name: 40, choice: 25, civilization: 15, image: 20 },
+  timer: 20, // seconds per question
+  rounds: 10, // questions per game
+  maxPoints: 150, // points for an instant correct answer
+  scoringExponent: 2, // power curve: maxPoints * (timeLeft / timer) ^ scoringExponent
+  allowAnswerChanges: true // players may change their pick until the round ends
+};
+
+const QUESTION_TYPES = Object.keys(DEFAULT_ROOM_SETTINGS.typeWeights);
+const CARD_MODES = Object.keys(DEFAULT_ROOM_SETTINGS.cardModes);
+
+// Accepted range of each numeric setting
+const NUMBER_LIMITS = {
+  timer: { min: 5, max: 120, integer: true },
+  rounds: { min: 1, max: 100, integer: true },
+  maxPoints: { min: 10, max: 10000, integer: true },
+  scoringExponent: { min: 0.5, max: 5, integer: false }
+};
+
+/**
+ * Full settings for a room: saved values over the defaults
+ * @param {Object} [saved] Settings previously stored for the room
+ * @returns {Object}
+ */
+function createRoomSettings(saved = {}) {
+  return {
+    ...DEFAULT_ROOM_SETTINGS,
+    ...saved,
+    typeWeights: { ...DEFAULT_ROOM_SETTINGS.typeWeights, ...(saved.typeWeights || {}) },
+    cardModes: { ...DEFAULT_ROOM_SETTINGS.cardModes, ...(saved.cardModes || {}) }
+  };
+}
+
+/**
+ * Merge a partial weight map over the current one
+ * @param {string} field Settings field, for error messages
+ * @param {Object} current
+ * @param {*} weights The host's changes
+ * @param {string[]} keys Allowed keys
+ * @returns {{ weights: Object|null, error?: string }}
+ */
+function mergeWeights(field, current, weights, keys) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { weights: null, error: `${field} must be an object with ${keys.join(', ')} weights` };
+  }
+  const unknown = Object.keys(weights).filter(key => !keys.includes(key));
+  if (unknown.length) {
+    return { weights: null, error: `Unknown ${field} key: ${unknown.join(', ')}` };
+  }
+  const merged = { ...current, ...weights };
+  if (!keys.every(key => typeof merged[key] === 'number' && Number.isFinite(merged[key]) && merged[key] >= 0)) {
+    return { weights: null, error: `${field} must be numbers of 0 or more` };
+  }
+  if (keys.every(key => merged[key] === 0)) {
+    return { weights: null, error: `At least one of ${field} needs a weight above 0` };
+  }
+  return { weights: merged };
+}
+
+/**
+ * Apply a host's changes to a room's settings. Fields left out keep their current value.
+ * @param {Object} current The room's settings
+ * @param {Object} changes e.g. { typeWeights: { cards: 0 } }, { cardModes: { image: 0 } } or { timer: 30 }
+ * @returns {{ settings: Object|null, error?: string }}
+ */
+function applySettingsUpdate(current, changes = {}) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { settings: null, error: 'settings must be an object' };
+  }
+
+  const settings = createRoomSettings(current);
+
+  if (changes.typeWeights !== undefined) {
+    const { weights, error } = mergeWeights('typeWeights', settings.typeWeights, changes.typeWeights, QUESTION_TYPES);
+    if (error) return { settings: null, error };
+    settings.typeWeights = weights;
+  }
+
+  if (changes.cardModes !== undefined) {
+    const { weights, error } = mergeWeights('cardModes', settings.cardModes, changes.cardModes, CARD_MODES);
+    if (error) return { settings: null, error };
+    settings.cardModes = weights;
+  }
+
+  for (const [field, { min, max, integer }] of Object.entries(NUMBER_LIMITS)) {
+    if (changes[field] === undefined) continue;
+    const value = changes[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+      return { settings: null, error: `${field} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}` };
+    }
+    settings[field] = value;
+  }
+
+  if (changes.allowAnswerChanges !== undefined) {
+    if (typeof changes.allowAnswerChanges !== 'boolean') {
+      return { settings: null, error: 'allowAnswerChanges must be true or false' };
+    }
+    settings.allowAnswerChanges = changes.allowAnswerChanges;
+  }
+
+  return { settings };
+}
+
+module.exports = {
+  DEFAULT_ROOM_SETTINGS,
+  CARD_MODES,
+  createRoomSettings,
+  applySettingsUpdate
+};
@@ -0,0 +1,56 @@
+// utils/roomState.js
+
+/**
+ * Room states: lobby → question → reveal → intermission → question … and, after the
+ * last round's reveal, finished. Opening a new session returns to lobby from anywhere.
+ */
+const ROOM_STATES = ['lobby', 'question', 'reveal', 'intermission', 'finished'];
+
+// from -> states it may move to
+const TRANSITIONS = {
+  lobby: ['lobby', 'question'],
+  question: ['lobby', 'reveal'],
+  reveal: ['lobby', 'question', 'intermission', 'finished'],
+  intermission: ['lobby', 'question'],
+  finished: ['lobby']
+};
+
+// What moving into each state means, for error messages
+const ACTIONS = {
+  lobby: 'open a new session',
+  question: 'start a question',
+  reveal: 'end the round',
+  intermission: 'close the reveal',
+  finished: 'finish the session'
+};
+
+// The gameState values clients read before the state machine existed
+const LEGACY_GAME_STATES = {
+  lobby: 'waiting',
+  question: 'playing',
+  reveal: 'ended',
+  intermission: 'ended',
+  finished: 'ended'
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Error for a transition canTransition rejected
+ * @param {string} from
+ * @param {string} to
+ * @returns {string} e.g. "Cannot start a question while the room is in question (only from lobby, reveal, intermission)"
+ */
+function describeIllegalTransition(from, to) {
+  const allowedFrom = ROOM_STATES.filter(state => canTransition(state, to));
+  return `Cannot ${ACTIONS[to]} while the room is in ${from} (only from ${allowedFrom.join(', ')})`;
+}
+
+module.exports = {
+  ROOM_STATES,
+  LEGACY_GAME_STATES,
+  canTransition,
+  describeIllegalTransition
+};
@@ -0,0 +1,131 @@
+// utils/sessionSummary.js
+
+const PODIUM_SIZE = 3;
+
+/**
+ * Empty per-player counters for one session, updated after every round
+ * @returns {Object}
+ */
+function createPlayerSessionStats() {
+  return {
+    answered: 0,
+    correct: 0,
+    points: 0,
+    correctTimes: [], // seconds taken for each correct answer
+    streak: 0,
+    bestStreak: 0
+  };
+}
+
+/**
+ * Add one scored round to a session's per-player stats. Players who sat a round out lose their streak.
+ * @param {Object} stats playerId -> createPlayerSessionStats()
+ * @param {string[]} participantIds Everyone in the room this round
+ * @param {Object} selections playerId -> scored selection { isCorrect, timeTaken, points }
+ */
+function recordSessionRound(stats, participantIds, selections) {
+  const playerIds = new Set([...participantIds, ...Object.keys(selections)]);
+  playerIds.forEach(playerId => {
+    const player = stats[playerId] || (stats[playerId] = createPlayerSessionStats());
+    const selection = selections[playerId];
+    if (!selection) {
+      player.streak = 0;
+      return;
+    }
+
+    player.answered++;
+    player.points += selection.points || 0;
+    if (selection.isCorrect) {
+      player.correct++;
+      player.streak++;
+      player.bestStreak = Math.max(player.bestStreak, player.streak);
+      if (typeof selection.timeTaken === 'number') player.correctTimes.push(selection.timeTaken);
+    } else {
+      player.streak = 0;
+    }
+  });
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Best player by a value, ties broken by score; null when nobody qualifies
+function pickBest(players, value, qualifies = () => true, lowestWins = false) {
+  const candidates = players.filter(player => qualifies(player) && value(player) !== null);
+  if (candidates.length === 0) return null;
+  const best = candidates.reduce((a, b) => {
+    const diff = lowestWins ? value(a) - value(b) : value(b) - value(a);
+    if (diff !== 0) return diff < 0 ? a : b;
+    return b.score > a.score ? b : a;
+  });
+  return { playerId: best.id, name: best.name, value: value(best) };
+}
+
+/**
+ * Final results of a finished session: ranked players, podium and MVP awards
+ * @param {Object} session
+ * @param {string} session.id
+ * @param {string} session.channelId
+ * @param {string|null} session.guildId
+ * @param {string} session.startedAt ISO timestamp of the first question
+ * @param {number} session.rounds Rounds played
+ * @param {Object} session.scores playerId -> session score
+ * @param {Object} session.stats playerId -> createPlayerSessionStats()
+ * @param {Object} session.playerNames playerId -> display name
+ * @returns {Object} The record archived by StorageService.archiveSession
+ */
+function buildSessionSummary({ id, channelId, guildId, startedAt, rounds, scores, stats, playerNames }) {
+  const playerIds = Array.from(new Set([...Object.keys(scores), ...Object.keys(stats)]));
+
+  const players = playerIds
+    .map(playerId => {
+      const player = stats[playerId] || createPlayerSessionStats();
+      const times = player.correctTimes;
+      return {
+        id: playerId,
+        name: playerNames[playerId] || 'Unknown player',
+        score: scores[playerId] || 0,
+        answered: player.answered,
+        correct: player.correct,
+        accuracy: player.answered ? round(player.correct / player.answered) : 0,
+        averageCorrectTime: times.length ? round(times.reduce((sum, time) => sum + time, 0) / times.length) : null,
+        fastestCorrectTime: times.length ? round(Math.min(...times)) : null,
+        bestStreak: player.bestStreak
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+  // Competition ranks, so tied scores share a podium step
+  let previous = null;
+  players.forEach((player, index) => {
+    player.rank = previous && previous.score === player.score ? previous.rank : index + 1;
+    previous = player;
+  });
+
+  // Accuracy and speed awards need answers in at least half the rounds, so one lucky pick can't win them
+  const regular = (player) => player.answered >= Math.ceil(rounds / 2);
+
+  return {
+    id,
+    channelId,
+    guildId,
+    startedAt,
+    endedAt: new Date().toISOString(),
+    rounds,
+    podium: players.filter(player => player.rank <= PODIUM_SIZE),
+    players,
+    mvp: {
+      topScorer: pickBest(players, player => player.score, player => player.score > 0),
+      mostAccurate: pickBest(players, player => player.accuracy, regular),
+      fastest: pickBest(players, player => player.averageCorrectTime, regular, true),
+      longestStreak: pickBest(players, player => player.bestStreak, player => player.bestStreak > 0)
+    }
+  };
+}
+
+module.exports = {
+  recordSessionRound,
+  buildSessionSummary
+};